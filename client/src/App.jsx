@@ -1,14 +1,50 @@
 import React, { useEffect, useRef, useState } from "react";
 import {
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip,
-  ResponsiveContainer, Legend, ReferenceArea
+  ResponsiveContainer, Legend, ReferenceArea, ReferenceLine
 } from "recharts";
+import History from "./History.jsx";
+import Energy from "./Energy.jsx";
+import Devices from "./Devices.jsx";
+import Fleet from "./Fleet.jsx";
+import * as auth from "./auth.js";
+import { series, flatValues, onTempAxis } from "./channels.js";
 
 // URL del backend (client/.env -> VITE_API_BASE=https://tu-backend.onrender.com)
 const API = import.meta.env.VITE_API_BASE;
 // Device por defecto (puedes cambiarlo en la caja de texto)
 const DEFAULT_DEVICE_ID = "heltec-v3-01";
 
+// Respuesta de /api/thermo/status (o evento "reading" en vivo) -> snapshot
+function toSnap(js) {
+  const last = js.last || {};
+  return {
+    // Valores por clave de canal y sus definiciones (etiqueta, unidad, color)
+    values: last.values || {},
+    channels: Array.isArray(js.channels) ? js.channels : [],
+    pv: last.pv,
+    // SP efectivo (programa rampa/meseta u horario) si el backend lo informa
+    sp: Number.isFinite(js.spEffective) ? js.spEffective : js.sp, h: js.h,
+    spAt: last.sp, // SP vigente cuando se tomó la lectura (backfill)
+    spSource: js.spSource || "config",
+    program: js.program || null,
+    relays: { r1: !!js.relays?.r1, r2: !!js.relays?.r2 },
+    // Estado físico reportado por el Heltec (null = no lo reporta)
+    actual: {
+      r1: typeof js.actual?.r1 === "boolean" ? js.actual.r1 : null,
+      r2: typeof js.actual?.r2 === "boolean" ? js.actual.r2 : null,
+    },
+    // Sensores excluidos del PV por el backend: { s3: "stuck" }
+    faults: js.faults || {},
+    interlocks: Array.isArray(js.interlocks) ? js.interlocks : [],
+    mode: ["manual","pid"].includes(js.mode) ? js.mode : "auto",
+    pidOutput: Number.isFinite(js.pid?.output) ? js.pid.output : null,
+    // Carga estimada del lecho de arena (null = sin lecho configurado)
+    energy: js.energy || null,
+    ts: last.ts ? new Date(last.ts).getTime() : Date.now(),
+  };
+}
+
 export default function App() {
   const [deviceId, setDeviceId] = useState(
     localStorage.getItem("deviceId") || DEFAULT_DEVICE_ID
@@ -16,78 +52,215 @@ export default function App() {
 
   const [data, setData] = useState([]);
   const [live, setLive] = useState({
-    s1: NaN, s2: NaN, s3: NaN, s4: NaN,
+    values: {}, channels: [],
     pv: NaN, sp: 60, h: 2,
+    spSource: "config", program: null,
     relays: { r1: false, r2: false },
+    actual: { r1: null, r2: null },
+    faults: {},
+    interlocks: [],
     mode: "auto",
+    pidOutput: null,
+    energy: null,
     ts: Date.now()
   });
 
   const [err, setErr] = useState("");
   const [info, setInfo] = useState("");
-  const timerRef = useRef(null);
+  const lastTsRef = useRef(0);
 
-  // Visibilidad de series
-  const [vis, setVis] = useState({
-    pv: true, s1: true, s2: true, s3: true, s4: true, sp: true, band: true
-  });
-  const toggle = (k) => setVis(v => ({ ...v, [k]: !v[k] }));
+  // Sesión: access token corto (se renueva solo) + refresh token
+  const [token, setToken] = useState(() => auth.loadSession().token);
+  const tokenRef = useRef(token);
+  tokenRef.current = token;
+  const authed = !!token;
+  const [conn, setConn] = useState("offline"); // live | reconnecting | offline
+  const [page, setPage] = useState("dashboard"); // dashboard | fleet | devices
+  // Entradas de auditoría del dispositivo (anotaciones en el trend)
+  const [notes, setNotes] = useState([]);
+
+  // Visibilidad de series (las no listadas, p. ej. canales nuevos, se ven)
+  const [vis, setVis] = useState({});
+  const shown = (k) => vis[k] !== false;
+  const toggle = (k) => setVis(v => ({ ...v, [k]: !shown(k) }));
 
   // Helpers
   const addPoint = (snap) => {
+    if (snap.ts <= lastTsRef.current) return; // ya está (backfill tras reconexión)
+    lastTsRef.current = snap.ts;
     setData(prev => {
-      const next = [...prev, { time: new Date(snap.ts).toLocaleTimeString(), ...snap }];
+      const next = [...prev, {
+        time: new Date(snap.ts).toLocaleTimeString(), ...snap, ...flatValues(snap.values),
+        sp: Number.isFinite(snap.spAt) ? snap.spAt : snap.sp
+      }];
       return next.length > 180 ? next.slice(next.length - 180) : next; // 3 min a 1 Hz
     });
   };
 
-  // ===== Lectura de estado (SIN JWT) =====
+  const applyStatus = (js) => {
+    // Si no hay 'last', probablemente aún no llegan push del Heltec
+    if (!js.last) {
+      setInfo("Aún no hay lecturas (verifica que el Heltec esté enviando /api/thermo/push -> 200).");
+    } else {
+      setInfo("");
+    }
+    const snap = toSnap(js);
+    setLive(snap);
+    addPoint(snap);
+  };
+
+  // ===== Lectura de estado puntual (botón Refrescar) =====
   const fetchStatus = async () => {
     try {
       setErr("");
       const res = await fetch(`${API}/api/thermo/status?deviceId=${encodeURIComponent(deviceId)}`, {
-        cache: "no-store"
+        headers: { Authorization: `Bearer ${tokenRef.current}` }, cache: "no-store"
       });
+      if (res.status === 401) { await renew(); return; }
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const js = await res.json();
-      const last = js.last || {};
-
-      // Si no hay 'last', probablemente aún no llegan push del Heltec
-      if (!js.last) {
-        setInfo("Aún no hay lecturas (verifica que el Heltec esté enviando /api/thermo/push -> 200).");
-      } else {
-        setInfo("");
-      }
-
-      const snap = {
-        s1: last.s1, s2: last.s2, s3: last.s3, s4: last.s4,
-        pv: last.pv,
-        sp: js.sp, h: js.h,
-        relays: { r1: !!js.relays?.r1, r2: !!js.relays?.r2 },
-        mode: js.mode === "manual" ? "manual" : "auto",
-        ts: last.ts ? new Date(last.ts).getTime() : Date.now(),
-      };
-
-      setLive(snap);
-      addPoint(snap);
+      applyStatus(await res.json());
     } catch (e) {
       console.warn("fetchStatus failed", e);
       setErr("No se pudo leer el estado del backend.");
     }
   };
 
+  const login = async (e) => {
+    e.preventDefault();
+    const form = new FormData(e.currentTarget);
+    try {
+      setErr("");
+      const s = await auth.login(form.get("email"), form.get("password"));
+      setToken(s.token);
+    } catch (e2) {
+      console.warn("login failed", e2);
+      setErr(e2.message);
+    }
+  };
+
+  const logout = async () => {
+    setToken("");
+    await auth.logout();
+  };
+
+  // Renovación del access token; si la sesión terminó, vuelve al login.
+  // Devuelve false si no se pudo (error de red: se reintenta luego).
+  const renew = async () => {
+    try {
+      const s = await auth.refresh();
+      if (!s) { auth.clearSession(); setToken(""); setErr("La sesión expiró, vuelve a entrar."); return false; }
+      setToken(s.token);
+      return true;
+    } catch (e) {
+      console.warn("refresh failed", e);
+      return false;
+    }
+  };
+
+  const selectDevice = (id) => {
+    setDeviceId(id);
+    localStorage.setItem("deviceId", id);
+    setPage("dashboard");
+  };
+
+  const addNote = (a) => setNotes(prev => {
+    if (prev.some(n => n._id === a._id)) return prev;
+    return [...prev, { ...a, ts: new Date(a.at).getTime() }].slice(-50);
+  });
+
+  const fetchNotes = async () => {
+    const qs = new URLSearchParams({
+      deviceId, from: new Date(Date.now() - 180000).toISOString(), limit: "50"
+    });
+    const res = await fetch(`${API}/api/audit?${qs}`, {
+      headers: { Authorization: `Bearer ${tokenRef.current}` }, cache: "no-store"
+    }).catch(() => null);
+    if (res?.ok) (await res.json()).forEach(addNote);
+  };
+
+  // Cambio de dispositivo: trend desde cero
   useEffect(() => {
-    fetchStatus();
-    timerRef.current = setInterval(fetchStatus, 1000);
-    return () => { if (timerRef.current) clearInterval(timerRef.current); };
+    lastTsRef.current = 0;
+    setData([]);
+    setNotes([]);
   }, [deviceId]);
 
+  // Renovación un minuto antes de que venza el access token
+  // (sin red se reintenta cada 30 s)
+  useEffect(() => {
+    if (!token) return;
+    let t = null, stop = false;
+    const schedule = (ms) => {
+      t = setTimeout(async () => {
+        if (!(await renew()) && !stop) schedule(30000);
+      }, ms);
+    };
+    schedule(Math.max(5000, auth.tokenExp(token) - Date.now() - 60000));
+    return () => { stop = true; clearTimeout(t); };
+  }, [token]);
+
+  useEffect(() => {
+    if (!authed) { setConn("offline"); return; }
+
+    // Canal en vivo (SSE) con backfill al reconectar. Se abre con un ticket
+    // de un minuto (no con el access token); el servidor corta el stream al
+    // vencer el token con que se pidió y aquí se vuelve a abrir.
+    let es = null, retry = null, closed = false;
+    const connect = async () => {
+      const dev = encodeURIComponent(deviceId);
+      const res = await fetch(`${API}/api/live/${dev}/ticket`, {
+        method: "POST", headers: { Authorization: `Bearer ${tokenRef.current}` }
+      }).catch(() => null);
+      if (closed) return;
+      if (!res?.ok) {
+        setConn("reconnecting");
+        // 401: access token vencido -> se renueva y se reintenta
+        if (res?.status === 401 && !(await renew())) return;
+        if (!closed) retry = setTimeout(connect, res?.status === 401 ? 0 : 5000);
+        return;
+      }
+      const { ticket } = await res.json();
+      const since = lastTsRef.current || Date.now() - 180000; // últimos 3 min al abrir
+      es = new EventSource(`${API}/api/live/${dev}?ticket=${encodeURIComponent(ticket)}&since=${since}`);
+      es.onopen = () => { setConn("live"); setErr(""); fetchNotes(); };
+      es.addEventListener("reading", (ev) => applyStatus(JSON.parse(ev.data)));
+      es.addEventListener("audit", (ev) => addNote(JSON.parse(ev.data)));
+      es.addEventListener("config", (ev) => {
+        const c = JSON.parse(ev.data);
+        setLive(l => ({
+          ...l, h: c.h,
+          sp: l.spSource === "config" ? c.sp : l.sp,
+          mode: ["manual","pid"].includes(c.mode) ? c.mode : "auto"
+        }));
+      });
+      es.onerror = () => {
+        setConn("reconnecting");
+        // El navegador reintenta con la misma URL y el ticket ya venció:
+        // se cierra y se reconecta con un ticket nuevo
+        if (closed) return;
+        es.close();
+        retry = setTimeout(connect, 1000);
+      };
+    };
+    connect();
+    return () => { closed = true; es?.close(); clearTimeout(retry); };
+  }, [deviceId, authed]);
+
   // Cálculos para la gráfica
   const spValid = Number.isFinite(live.sp);
   const hValid  = Number.isFinite(live.h) && live.h > 0;
   const onThr   = spValid && hValid ? (live.sp - live.h/2) : null;
   const offThr  = spValid && hValid ? (live.sp + live.h/2) : null;
 
+  const channels = live.channels;
+  const altChannels = channels.filter(c => !onTempAxis(c));
+
+  // Anotaciones: cada entrada se ubica en el primer punto posterior del trend
+  const marks = notes.map(n => {
+    const p = data.find(d => d.ts >= n.ts);
+    return p ? { ...n, x: p.time } : null;
+  }).filter(Boolean);
+
   return (
     <div className="wrap">
       <style>{`
@@ -110,6 +283,8 @@ export default function App() {
         .badge{ padding:2px 8px; border-radius:999px; font-size:12px; border:1px solid var(--line); color:var(--muted); }
         .badge.on{ background:#052e1e; color:#a7f3d0; border-color:#065f46; }
         .badge.off{ background:#1f2937; color:#cbd5e1; }
+        .badge.warn{ background:#3b2106; color:#fcd34d; border-color:#92400e; }
+        .relay{ display:flex; align-items:center; gap:6px; font-size:14px; }
         .input{ background:#0f172a; color:var(--text); border:1px solid var(--line); border-radius:8px; padding:10px 12px; }
         .btn{ cursor:pointer; background:#192338; color:var(--text); border:1px solid var(--line); border-radius:8px; padding:10px 12px; font-weight:600; }
         .btn:hover{ border-color:#31425f; }
@@ -122,6 +297,11 @@ export default function App() {
         .checks{ display:grid; grid-template-columns:repeat(7, minmax(0,1fr)); gap:8px; }
         @media (max-width: 900px){ .checks{ grid-template-columns:repeat(3, minmax(0,1fr)); } }
         .check{ display:flex; align-items:center; gap:6px; font-size:12px; color:var(--muted); }
+        .table{ width:100%; border-collapse:collapse; font-size:13px; }
+        .table th{ text-align:left; color:var(--muted); font-weight:500; padding:6px 8px; border-bottom:1px solid var(--line); }
+        .table td{ padding:6px 8px; border-bottom:1px solid var(--line); vertical-align:middle; }
+        .soc{ height:6px; background:#0c1426; border:1px solid var(--line); border-radius:999px; overflow:hidden; margin-top:6px; }
+        .soc > div{ height:100%; background:var(--ok); }
       `}</style>
 
       {/* Header */}
@@ -133,38 +313,93 @@ export default function App() {
 
         <div className="panel" style={{display:"flex", gap:8, alignItems:"center"}}>
           <input
+            key={deviceId}
             className="input"
             placeholder="Device ID"
             defaultValue={deviceId}
             onBlur={(e)=>{ const v=e.target.value.trim(); setDeviceId(v); localStorage.setItem("deviceId", v); }}
             style={{minWidth:200}}
           />
-          <button className="btn" onClick={fetchStatus}>Refrescar</button>
+          {token && (
+            <>
+              <button className="btn" onClick={fetchStatus}>Refrescar</button>
+              {[["dashboard","Dashboard"], ["fleet","Flota"], ["devices","Dispositivos"]]
+                .filter(([p]) => p !== page)
+                .map(([p, label]) => <button key={p} className="btn" onClick={()=>setPage(p)}>{label}</button>)}
+              <button className="btn" onClick={logout}>Salir</button>
+            </>
+          )}
         </div>
       </div>
 
       {err && <div className="err">{err}</div>}
+
+      {!token ? (
+        <div className="panel" style={{maxWidth:380, margin:"48px auto"}}>
+          <div className="label" style={{marginBottom:10}}>Inicia sesión para ver el dispositivo</div>
+          <form onSubmit={login} style={{display:"grid", gap:8}}>
+            <input className="input" name="email" type="email" placeholder="Email" autoComplete="username" required />
+            <input className="input" name="password" type="password" placeholder="Contraseña" autoComplete="current-password" required />
+            <button className="btn" type="submit">Entrar</button>
+          </form>
+        </div>
+      ) : page === "fleet" ? (
+        <Fleet token={token} onSelect={selectDevice} />
+      ) : page === "devices" ? (
+        <Devices token={token} onSelect={selectDevice} />
+      ) : (
+      <>
       {info && <div className="info">{info}</div>}
+      {live.interlocks.length > 0 && (
+        <div className="err">
+          Enclavamientos activos (relés forzados a OFF):{" "}
+          {live.interlocks.map(i => `${i.type}${i.relay ? ` (${i.relay})` : ""}`).join(", ")}
+        </div>
+      )}
 
       {/* KPIs */}
       <div className="row grid4">
         <div className="panel">
-          <div className="label">PV (Promedio)</div>
+          <div className="label">PV</div>
           <div className="kpi">
             {Number.isFinite(live.pv) ? live.pv.toFixed(1) : "--"}<span className="unit">°C</span>
           </div>
         </div>
         <div className="panel">
-          <div className="label">SP (Set Point)</div>
+          <div className="label">
+            SP (Set Point){live.spSource === "program" ? " · Programa" : live.spSource === "schedule" ? " · Horario" : ""}
+          </div>
           <div className="kpi">{Number.isFinite(live.sp) ? live.sp.toFixed(1) : "--"}<span className="unit">°C</span></div>
+          {live.program && ["running","paused"].includes(live.program.status) && (
+            <div className="label" style={{marginTop:6}}>
+              {live.program.name} · paso {live.program.stepIndex + 1}/{live.program.stepCount}
+              {live.program.step ? ` (${live.program.step.type})` : ""}
+              {live.program.status === "paused" ? " · en pausa" : ""}
+            </div>
+          )}
         </div>
         <div className="panel">
           <div className="label">H (Histéresis)</div>
           <div className="kpi">{Number.isFinite(live.h) ? live.h.toFixed(1) : "--"}<span className="unit">°C</span></div>
         </div>
-        <div className="panel" style={{display:"flex",alignItems:"center",gap:12}}>
-          <div>Relé 1 <span className={`badge ${live.relays.r1 ? "on":"off"}`}>{live.relays.r1 ? "ON" : "OFF"}</span></div>
-          <div>Relé 2 <span className={`badge ${live.relays.r2 ? "on":"off"}`}>{live.relays.r2 ? "ON" : "OFF"}</span></div>
+        <div className="panel">
+          <div className="label">
+            Relés · Modo {{ manual: "Manual", pid: "PID", auto: "Auto" }[live.mode]}
+            {live.mode === "pid" && live.pidOutput !== null && ` ${live.pidOutput.toFixed(0)}%`} (comandado / físico)
+          </div>
+          {[["Relé 1","r1"],["Relé 2","r2"]].map(([label,k])=>{
+            const cmd = live.relays[k];
+            const act = live.actual[k];
+            const mismatch = act !== null && act !== cmd;
+            return (
+              <div key={k} className="relay">
+                {label}
+                <span className={`badge ${cmd ? "on":"off"}`}>{cmd ? "ON" : "OFF"}</span>
+                <span className={`badge ${act === null ? "" : act ? "on":"off"}`}>{act === null ? "--" : act ? "ON" : "OFF"}</span>
+                {mismatch && <span className="badge warn">Discrepancia</span>}
+              </div>
+            );
+          })}
         </div>
       </div>
 
@@ -173,10 +408,10 @@ export default function App() {
         <div className="label" style={{marginBottom:6}}>Visibilidad</div>
         <div className="checks">
           {[
-            ["PV","pv"],["S1","s1"],["S2","s2"],["S3","s3"],["S4","s4"],["SP","sp"],["Banda H","band"]
+            ["PV","pv"], ...channels.map(c => [c.label, series(c.key)]), ["SP","sp"], ["Banda H","band"]
           ].map(([label,key])=>(
             <label key={key} className="check">
-              <input type="checkbox" checked={vis[key]} onChange={()=>toggle(key)} />
+              <input type="checkbox" checked={shown(key)} onChange={()=>toggle(key)} />
               {label}
             </label>
           ))}
@@ -192,11 +427,15 @@ export default function App() {
               <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
               <XAxis dataKey="time" stroke="#94a3b8" tick={{ fill: "#94a3b8" }} />
               <YAxis stroke="#94a3b8" tick={{ fill: "#94a3b8" }} domain={["auto","auto"]} />
+              {altChannels.length > 0 && (
+                <YAxis yAxisId="alt" orientation="right" stroke="#94a3b8" tick={{ fill: "#94a3b8" }}
+                  domain={["auto","auto"]} unit={altChannels[0].unit} />
+              )}
               <Tooltip contentStyle={{ background: "#0b1220", border: "1px solid #1f2937", color: "#e5e7eb" }} />
               <Legend wrapperStyle={{ color: "#94a3b8" }} />
 
               {/* Banda de histéresis */}
-              {vis.band && spValid && hValid && (
+              {shown("band") && spValid && hValid && (
                 <ReferenceArea
                   y1={onThr}
                   y2={offThr}
@@ -207,17 +446,28 @@ export default function App() {
               )}
 
               {/* Series */}
-              {vis.pv && <Line type="monotone" dataKey="pv" stroke="#22d3ee" dot={false} name="PV" />}
-              {vis.s1 && <Line type="monotone" dataKey="s1" stroke="#60a5fa" dot={false} name="S1" />}
-              {vis.s2 && <Line type="monotone" dataKey="s2" stroke="#34d399" dot={false} name="S2" />}
-              {vis.s3 && <Line type="monotone" dataKey="s3" stroke="#fbbf24" dot={false} name="S3" />}
-              {vis.s4 && <Line type="monotone" dataKey="s4" stroke="#f472b6" dot={false} name="S4" />}
-
-              {/* Línea de Set Point */}
-              {vis.sp && spValid && (
+              {shown("pv") && <Line type="monotone" dataKey="pv" stroke="#22d3ee" dot={false} name="PV" />}
+              {channels.filter(c => shown(series(c.key))).map(c => (
+                <Line key={c.key} type="monotone" dataKey={series(c.key)} stroke={c.color} dot={false}
+                  name={c.label} yAxisId={onTempAxis(c) ? 0 : "alt"} />
+              ))}
+
+              {/* Cambios de config / acciones de control (auditoría) */}
+              {marks.map(m => (
+                <ReferenceLine
+                  key={m._id}
+                  x={m.x}
+                  stroke="#f59e0b"
+                  strokeDasharray="2 2"
+                  label={{ value: m.summary || m.action, fill: "#fcd34d", fontSize: 10, position: "insideTopLeft" }}
+                />
+              ))}
+
+              {/* Línea de Set Point (efectivo en cada punto: sigue rampas y horarios) */}
+              {shown("sp") && spValid && (
                 <Line
-                  type="monotone"
-                  dataKey={() => live.sp}
+                  type="stepAfter"
+                  dataKey="sp"
                   stroke="#ef4444"
                   dot={false}
                   isAnimationActive={false}
@@ -230,31 +480,44 @@ export default function App() {
         </div>
       </div>
 
+      {/* Histórico agregado (requiere login) */}
+      <History key={deviceId} deviceId={deviceId} token={token} />
+
+      {/* Energía y estado de carga */}
+      <Energy key={`e-${deviceId}`} deviceId={deviceId} token={token} state={live.energy} />
+
       {/* Panel informativo (solo lectura) */}
       <div className="panel" style={{marginTop:16}}>
         <div className="label">Controles</div>
         <div style={{color:"#cbd5e1", fontSize:14}}>
-          Este dashboard está en <b>modo solo lectura</b> (sin login).<br/>
-          Para modificar <b>SP/H/Modo</b> necesitas habilitar autenticación (JWT) y usar
-          <code> PATCH /api/config/:deviceId</code>.
+          Este dashboard es de <b>solo lectura</b>.<br/>
+          Para modificar <b>SP/H/Modo</b> (rol operador o admin) usa
+          <code> PATCH /api/config/:deviceId</code>; los <b>canales</b> de
+          medición (clave, unidad, tipo, calibración, color) se definen ahí mismo con rol admin.
         </div>
       </div>
 
       {/* Sensors quick view */}
       <div className="sensors" style={{marginTop:16}}>
-        {[
-          {k:"S1",v:live.s1}, {k:"S2",v:live.s2}, {k:"S3",v:live.s3}, {k:"S4",v:live.s4}
-        ].map(s => (
-          <div key={s.k} className="sensorCard">
-            <div className="name">{s.k}</div>
-            <div className="val">{Number.isFinite(s.v) ? s.v.toFixed(2) : "--"} °C</div>
-          </div>
-        ))}
+        {channels.map(c => {
+          const v = live.values[c.key], f = live.faults[c.key];
+          return (
+            <div key={c.key} className="sensorCard">
+              <div className="name">
+                {c.label} {f && <span className="badge warn" title="Excluido del PV">Falla: {f}</span>}
+              </div>
+              <div className="val">{Number.isFinite(v) ? v.toFixed(2) : "--"} {c.unit}</div>
+            </div>
+          );
+        })}
       </div>
 
+      </>
+      )}
+
       {/* Footer */}
       <div style={{textAlign:"center", color:"var(--muted)", fontSize:12, marginTop:16}}>
-        Backend: {API} · Device: {deviceId} · 1 Hz
+        Backend: {API} · Device: {deviceId} · {{ live: "En vivo", reconnecting: "Reconectando…", offline: "Sin sesión" }[conn]}
       </div>
     </div>
   );
@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from "react";
+
+const API = import.meta.env.VITE_API_BASE;
+
+async function api(token, path, opts = {}) {
+  const res = await fetch(`${API}${path}`, {
+    ...opts,
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    cache: "no-store"
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    throw new Error(body?.error || `HTTP ${res.status}`);
+  }
+  return res.json();
+}
+
+const ago = (d) => {
+  if (!d) return "nunca";
+  const s = Math.max(0, (Date.now() - new Date(d).getTime()) / 1000);
+  if (s < 60) return `hace ${s.toFixed(0)} s`;
+  if (s < 3600) return `hace ${(s / 60).toFixed(0)} min`;
+  if (s < 86400) return `hace ${(s / 3600).toFixed(0)} h`;
+  return new Date(d).toLocaleString();
+};
+
+// Gestión de dispositivos: alta con token generado, edición, habilitar /
+// deshabilitar, rotación de token y baja (acciones de admin)
+export default function Devices({ token, onSelect }) {
+  const [list, setList] = useState([]);
+  const [me, setMe] = useState(null);
+  const [err, setErr] = useState("");
+  const [secret, setSecret] = useState(null); // { deviceId, token } recién generado
+  const [grace, setGrace] = useState(24);     // horas de gracia al rotar
+  const [tick, setTick] = useState(0);        // recarga tras cada acción
+
+  useEffect(() => {
+    if (!token) return;
+    let stop = false;
+    (async () => {
+      try {
+        const [devs, who] = await Promise.all([api(token, "/api/devices"), api(token, "/api/auth/me")]);
+        if (stop) return;
+        setList(devs);
+        setMe(who);
+      } catch (e) {
+        console.warn("devices failed", e);
+        if (!stop) setErr(`No se pudo leer la lista de dispositivos (${e.message}).`);
+      }
+    })();
+    return () => { stop = true; };
+  }, [token, tick]);
+
+  const run = async (fn) => {
+    try { setErr(""); await fn(); }
+    catch (e) { setErr(e.message); }
+    setTick(t => t + 1);
+  };
+
+  const create = (e) => {
+    e.preventDefault();
+    const form = new FormData(e.currentTarget);
+    const body = { deviceId: form.get("deviceId").trim(), name: form.get("name"), group: form.get("group") };
+    const el = e.currentTarget;
+    run(async () => {
+      const js = await api(token, "/api/devices", { method: "POST", body: JSON.stringify(body) });
+      setSecret({ deviceId: js.deviceId, token: js.token });
+      el.reset();
+    });
+  };
+
+  const patch = (d, body) => run(() =>
+    api(token, `/api/devices/${encodeURIComponent(d.deviceId)}`, { method: "PATCH", body: JSON.stringify(body) }));
+
+  const rotate = (d) => {
+    if (!window.confirm(`¿Generar un token nuevo para ${d.deviceId}? El actual valdrá ${grace} h más.`)) return;
+    run(async () => {
+      const js = await api(token, `/api/devices/${encodeURIComponent(d.deviceId)}/rotate`, {
+        method: "POST", body: JSON.stringify({ graceSeconds: grace * 3600 })
+      });
+      setSecret({ deviceId: d.deviceId, token: js.token });
+    });
+  };
+
+  const remove = (d) => {
+    if (!window.confirm(`¿Eliminar ${d.deviceId}? El histórico se conserva.`)) return;
+    run(() => api(token, `/api/devices/${encodeURIComponent(d.deviceId)}`, { method: "DELETE" }));
+  };
+
+  const editText = (d, field, label) => {
+    const v = window.prompt(label, d[field] || "");
+    if (v !== null) patch(d, { [field]: v });
+  };
+
+  if (!token) {
+    return (
+      <div className="panel">
+        <div className="label">Dispositivos</div>
+        <div style={{color:"#cbd5e1", fontSize:14}}>Inicia sesión para gestionar dispositivos.</div>
+      </div>
+    );
+  }
+
+  const admin = me?.role === "admin";
+
+  return (
+    <div className="panel">
+      <div className="label" style={{marginBottom:6}}>Dispositivos</div>
+      {err && <div className="err">{err}</div>}
+
+      {secret && (
+        <div className="panel" style={{marginBottom:12, borderColor:"#92400e"}}>
+          <div className="label">Token de {secret.deviceId} (se muestra solo esta vez: cárgalo en el firmware)</div>
+          <code style={{wordBreak:"break-all"}}>{secret.token}</code>
+          <div style={{marginTop:8}}>
+            <button className="btn" onClick={() => navigator.clipboard?.writeText(secret.token)}>Copiar</button>{" "}
+            <button className="btn" onClick={() => setSecret(null)}>Listo</button>
+          </div>
+        </div>
+      )}
+
+      {admin && (
+        <form onSubmit={create} style={{display:"flex", gap:8, flexWrap:"wrap", marginBottom:12}}>
+          <input className="input" name="deviceId" placeholder="Device ID" required pattern="[\w.\-]{1,64}" />
+          <input className="input" name="name" placeholder="Nombre" />
+          <input className="input" name="group" placeholder="Grupo" />
+          <button className="btn" type="submit">Agregar</button>
+          <label className="check" style={{marginLeft:"auto"}}>
+            Gracia al rotar
+            <input className="input" type="number" min="0" max="720" value={grace}
+              onChange={(e) => setGrace(Math.max(0, Number(e.target.value) || 0))} style={{width:80}} /> h
+          </label>
+        </form>
+      )}
+
+      <table className="table">
+        <thead>
+          <tr>
+            <th>Device</th><th>Nombre</th><th>Grupo</th><th>Estado</th><th>Último contacto</th>
+            <th>Firmware</th><th>IP</th><th>Token</th><th />
+          </tr>
+        </thead>
+        <tbody>
+          {list.map(d => (
+            <tr key={d.deviceId}>
+              <td><code>{d.deviceId}</code></td>
+              <td>{d.name || "--"}</td>
+              <td>{d.group || "--"}</td>
+              <td><span className={`badge ${d.enabled ? "on" : "off"}`}>{d.enabled ? "Habilitado" : "Deshabilitado"}</span></td>
+              <td title={d.lastSeenAt ? new Date(d.lastSeenAt).toLocaleString() : ""}>
+                {ago(d.lastSeenAt)}{d.transport ? ` · ${d.transport}` : ""}
+              </td>
+              <td>{d.firmware || "--"}</td>
+              <td>{d.lastIp || "--"}</td>
+              <td>
+                <code>{d.tokenPrefix ? `${d.tokenPrefix}…` : "--"}</code>
+                {d.graceActive && (
+                  <span className="badge warn" title={`El token anterior vale hasta ${new Date(d.prevTokenExpiresAt).toLocaleString()}`}>
+                    gracia
+                  </span>
+                )}
+              </td>
+              <td style={{whiteSpace:"nowrap"}}>
+                <button className="btn" onClick={() => onSelect(d.deviceId)}>Ver</button>{" "}
+                {admin && (
+                  <>
+                    <button className="btn" onClick={() => editText(d, "name", "Nombre")}>Nombre</button>{" "}
+                    <button className="btn" onClick={() => editText(d, "group", "Grupo")}>Grupo</button>{" "}
+                    <button className="btn" onClick={() => patch(d, { enabled: !d.enabled })}>
+                      {d.enabled ? "Deshabilitar" : "Habilitar"}
+                    </button>{" "}
+                    <button className="btn" onClick={() => rotate(d)}>Rotar token</button>{" "}
+                    <button className="btn" onClick={() => remove(d)}>Eliminar</button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+          {!list.length && (
+            <tr><td colSpan={9} style={{color:"var(--muted)"}}>Sin dispositivos.</td></tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from "react";
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend
+} from "recharts";
+
+const API = import.meta.env.VITE_API_BASE;
+
+const kwh = (v) => (Number.isFinite(v) ? v.toFixed(1) : "--");
+
+// Panel de energía: carga estimada del lecho (en vivo) y consumo de los
+// calefactores (hoy, mes y últimos 30 días) desde /api/energy
+export default function Energy({ deviceId, token, state }) {
+  const [summary, setSummary] = useState(null);
+  const [daily, setDaily] = useState([]);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    if (!token) return;
+    let stop = false;
+    const load = async () => {
+      try {
+        const headers = { Authorization: `Bearer ${token}` };
+        const id = encodeURIComponent(deviceId);
+        const [s, t] = await Promise.all([
+          fetch(`${API}/api/energy/${id}`, { headers, cache: "no-store" }),
+          fetch(`${API}/api/energy/${id}/totals?period=day`, { headers, cache: "no-store" })
+        ]);
+        if (!s.ok || !t.ok) throw new Error(`HTTP ${s.ok ? t.status : s.status}`);
+        const [js, tot] = [await s.json(), await t.json()];
+        if (stop) return;
+        setErr("");
+        setSummary(js);
+        setDaily(tot.totals.map(r => ({
+          day: r.period.slice(5), r1: +r.kwhR1.toFixed(2), r2: +r.kwhR2.toFixed(2)
+        })));
+      } catch (e) {
+        console.warn("energy failed", e);
+        if (!stop) setErr("No se pudo leer el balance energético.");
+      }
+    };
+    load();
+    const t = setInterval(load, 60000);
+    return () => { stop = true; clearInterval(t); };
+  }, [deviceId, token]);
+
+  // SOC en vivo si llega con el status; si no, el del resumen
+  const cur = state || summary?.state || null;
+
+  return (
+    <div className="panel" style={{marginTop:16}}>
+      <div className="label" style={{marginBottom:6}}>Energía</div>
+      {!cur && (
+        <div style={{color:"#cbd5e1", fontSize:14}}>
+          Sin lecho configurado (masa / calor específico en <code>PATCH /api/config/:deviceId</code>, campo <code>energy</code>).
+        </div>
+      )}
+      {cur && (
+        <div className="row grid4">
+          <div>
+            <div className="label">Estado de carga</div>
+            <div className="kpi">{Number.isFinite(cur.soc) ? cur.soc.toFixed(0) : "--"}<span className="unit">%</span></div>
+            <div className="soc"><div style={{width:`${Number.isFinite(cur.soc) ? cur.soc : 0}%`}} /></div>
+          </div>
+          <div>
+            <div className="label">Energía almacenada</div>
+            <div className="kpi">{kwh(cur.storedKwh)}<span className="unit">/ {kwh(cur.capacityKwh)} kWh</span></div>
+          </div>
+          <div>
+            <div className="label">Consumo hoy</div>
+            <div className="kpi">{kwh(summary?.today?.kwh)}<span className="unit">kWh</span></div>
+          </div>
+          <div>
+            <div className="label">Consumo del mes</div>
+            <div className="kpi">{kwh(summary?.month?.kwh)}<span className="unit">kWh</span></div>
+          </div>
+        </div>
+      )}
+      {err && <div className="err">{err}</div>}
+      {!token && <div className="label" style={{marginTop:8}}>Inicia sesión para ver consumos.</div>}
+      {token && daily.length > 0 && (
+        <div style={{height:220, marginTop:12}}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={daily} margin={{ top: 5, right: 20, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
+              <XAxis dataKey="day" stroke="#94a3b8" tick={{ fill: "#94a3b8" }} />
+              <YAxis stroke="#94a3b8" tick={{ fill: "#94a3b8" }} unit=" kWh" width={70} />
+              <Tooltip contentStyle={{ background: "#0b1220", border: "1px solid #1f2937", color: "#e5e7eb" }} />
+              <Legend wrapperStyle={{ color: "#94a3b8" }} />
+              <Bar dataKey="r1" stackId="e" fill="#a78bfa" name="Relé 1" isAnimationActive={false} />
+              <Bar dataKey="r2" stackId="e" fill="#f97316" name="Relé 2" isAnimationActive={false} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+import React, { useEffect, useMemo, useState } from "react";
+
+const API = import.meta.env.VITE_API_BASE;
+
+const fmt = (v) => (Number.isFinite(v) ? v.toFixed(1) : "--");
+
+const ago = (d) => {
+  if (!d) return "nunca";
+  const s = Math.max(0, (Date.now() - new Date(d).getTime()) / 1000);
+  if (s < 60) return `hace ${s.toFixed(0)} s`;
+  if (s < 3600) return `hace ${(s / 60).toFixed(0)} min`;
+  if (s < 86400) return `hace ${(s / 3600).toFixed(0)} h`;
+  return new Date(d).toLocaleString();
+};
+
+const openAlarms = (d) => d.alarms.active + d.alarms.acknowledged;
+
+// Columnas ordenables: valor de comparación por dispositivo
+const SORTS = {
+  status: (d) => (d.online ? 0 : 1),
+  deviceId: (d) => (d.name || d.deviceId).toLowerCase(),
+  group: (d) => (d.group || "").toLowerCase(),
+  pv: (d) => d.pv ?? -Infinity,
+  sp: (d) => d.sp ?? -Infinity,
+  alarms: (d) => d.alarms.active * 1000 + openAlarms(d),
+  lastSeenAt: (d) => (d.lastSeenAt ? new Date(d.lastSeenAt).getTime() : 0)
+};
+
+// Vista de flota: todos los dispositivos visibles con PV/SP, relés, estado
+// de conexión y alarmas abiertas desde /api/fleet (una sola llamada)
+export default function Fleet({ token, onSelect }) {
+  const [list, setList] = useState([]);
+  const [err, setErr] = useState("");
+  const [text, setText] = useState("");
+  const [group, setGroup] = useState("");
+  const [status, setStatus] = useState("all"); // all | online | offline | alarms
+  const [sort, setSort] = useState({ key: "status", dir: 1 });
+
+  useEffect(() => {
+    if (!token) return;
+    let stop = false;
+    const load = async () => {
+      try {
+        const res = await fetch(`${API}/api/fleet`, {
+          headers: { Authorization: `Bearer ${token}` }, cache: "no-store"
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const js = await res.json();
+        if (stop) return;
+        setErr("");
+        setList(js.devices);
+      } catch (e) {
+        console.warn("fleet failed", e);
+        if (!stop) setErr(`No se pudo leer la flota (${e.message}).`);
+      }
+    };
+    load();
+    const t = setInterval(load, 5000);
+    return () => { stop = true; clearInterval(t); };
+  }, [token]);
+
+  const groups = useMemo(() => [...new Set(list.map(d => d.group).filter(Boolean))].sort(), [list]);
+
+  const rows = useMemo(() => {
+    const q = text.trim().toLowerCase();
+    const val = SORTS[sort.key];
+    return list
+      .filter(d => !q || d.deviceId.toLowerCase().includes(q) || (d.name || "").toLowerCase().includes(q))
+      .filter(d => !group || d.group === group)
+      .filter(d => status === "all"
+        || (status === "online" && d.online)
+        || (status === "offline" && !d.online)
+        || (status === "alarms" && (openAlarms(d) > 0 || d.interlocks.length > 0)))
+      .sort((a, b) => {
+        const x = val(a), y = val(b);
+        // Desempate estable por deviceId
+        return (x < y ? -1 : x > y ? 1 : a.deviceId.localeCompare(b.deviceId)) * sort.dir;
+      });
+  }, [list, text, group, status, sort]);
+
+  const online = list.filter(d => d.online).length;
+  const alarmed = list.filter(d => openAlarms(d) > 0).length;
+
+  const th = (key, label) => (
+    <th style={{cursor:"pointer", whiteSpace:"nowrap"}}
+      onClick={() => setSort(s => ({ key, dir: s.key === key ? -s.dir : 1 }))}>
+      {label}{sort.key === key ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+    </th>
+  );
+
+  return (
+    <div className="panel">
+      <div className="label" style={{marginBottom:6}}>
+        Flota · {list.length} dispositivos · {online} en línea · {list.length - online} sin conexión · {alarmed} con alarmas
+      </div>
+      {err && <div className="err">{err}</div>}
+
+      <div style={{display:"flex", gap:8, flexWrap:"wrap", marginBottom:12}}>
+        <input className="input" placeholder="Buscar (ID o nombre)" value={text}
+          onChange={(e) => setText(e.target.value)} />
+        <select className="input" value={group} onChange={(e) => setGroup(e.target.value)}>
+          <option value="">Todos los grupos</option>
+          {groups.map(g => <option key={g} value={g}>{g}</option>)}
+        </select>
+        <select className="input" value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="all">Todos</option>
+          <option value="online">En línea</option>
+          <option value="offline">Sin conexión</option>
+          <option value="alarms">Con alarmas / enclavamientos</option>
+        </select>
+      </div>
+
+      <table className="table">
+        <thead>
+          <tr>
+            {th("status", "Estado")}{th("deviceId", "Device")}{th("group", "Grupo")}
+            {th("pv", "PV (°C)")}{th("sp", "SP (°C)")}<th>Modo</th><th>Relés</th>
+            {th("alarms", "Alarmas")}{th("lastSeenAt", "Último contacto")}<th />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(d => (
+            <tr key={d.deviceId} style={{cursor:"pointer"}} onClick={() => onSelect(d.deviceId)}>
+              <td>
+                <span className={`badge ${d.online ? "on" : "off"}`}>
+                  {!d.enabled ? "Deshabilitado" : d.online ? "En línea" : "Sin conexión"}
+                </span>
+              </td>
+              <td>
+                <code>{d.deviceId}</code>
+                {d.name && <div style={{color:"var(--muted)", fontSize:12}}>{d.name}</div>}
+              </td>
+              <td>{d.group || "--"}</td>
+              <td>
+                {fmt(d.pv)}
+                {d.faults.length > 0 && (
+                  <span className="badge warn" title={`Excluidos del PV: ${d.faults.join(", ")}`}> falla</span>
+                )}
+              </td>
+              <td>
+                {fmt(d.sp)}
+                {d.program && <div style={{color:"var(--muted)", fontSize:12}}>{d.program.name} ({d.program.status})</div>}
+              </td>
+              <td>{d.mode || "--"}</td>
+              <td style={{whiteSpace:"nowrap"}}>
+                {["r1", "r2"].map(r => (
+                  <span key={r} className={`badge ${d.mismatch[r] ? "warn" : d.relays[r] ? "on" : "off"}`}
+                    title={d.mismatch[r] ? "Comandado y físico no coinciden" : ""} style={{marginRight:4}}>
+                    {r.toUpperCase()} {d.relays[r] ? "ON" : "OFF"}
+                  </span>
+                ))}
+              </td>
+              <td>
+                {openAlarms(d) > 0 ? (
+                  <span className="badge warn" title={`${d.alarms.active} activas, ${d.alarms.acknowledged} reconocidas`}>
+                    {openAlarms(d)} {d.alarms.severity}
+                  </span>
+                ) : "--"}
+                {d.interlocks.length > 0 && (
+                  <div className="err" style={{margin:0}}>{d.interlocks.join(", ")}</div>
+                )}
+              </td>
+              <td title={d.lastSeenAt ? new Date(d.lastSeenAt).toLocaleString() : ""}>
+                {ago(d.lastSeenAt)}{d.transport ? ` · ${d.transport}` : ""}
+              </td>
+              <td><button className="btn" onClick={(e) => { e.stopPropagation(); onSelect(d.deviceId); }}>Ver</button></td>
+            </tr>
+          ))}
+          {!rows.length && (
+            <tr><td colSpan={10} style={{color:"var(--muted)"}}>
+              {list.length ? "Ningún dispositivo coincide con el filtro." : "Sin dispositivos."}
+            </td></tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
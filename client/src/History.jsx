@@ -0,0 +1,181 @@
+import React, { useState } from "react";
+import {
+  ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip,
+  ResponsiveContainer, Legend, Brush
+} from "recharts";
+import { series, onTempAxis } from "./channels.js";
+
+const API = import.meta.env.VITE_API_BASE;
+const DAY = 24 * 3600 * 1000;
+
+// Fecha -> valor para <input type="datetime-local"> (hora local)
+const toLocalInput = (d) => {
+  const x = new Date(d);
+  x.setMinutes(x.getMinutes() - x.getTimezoneOffset());
+  return x.toISOString().slice(0, 16);
+};
+
+const fmtBucket = (s) =>
+  s >= 3600 ? `${s / 3600} h` : s >= 60 ? `${s / 60} min` : `${s} s`;
+
+// Vista histórica con agregados de /api/history (rango + zoom)
+export default function History({ deviceId, token }) {
+  const [range, setRange] = useState(() => ({
+    from: toLocalInput(Date.now() - DAY), to: toLocalInput(Date.now())
+  }));
+  const [rows, setRows] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [bucket, setBucket] = useState(null);
+  const [sel, setSel] = useState(null);     // selección del Brush { startIndex, endIndex }
+  const [stack, setStack] = useState([]);   // rangos previos para "Alejar"
+  const [err, setErr] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [format, setFormat] = useState("csv"); // csv | excel | ndjson
+
+  const load = async (r) => {
+    const from = new Date(r.from), to = new Date(r.to);
+    if (!(from < to)) { setErr("Rango inválido."); return; }
+    try {
+      setErr(""); setLoading(true);
+      const qs = new URLSearchParams({
+        deviceId, from: from.toISOString(), to: to.toISOString(), points: "600"
+      });
+      const res = await fetch(`${API}/api/history?${qs}`, {
+        headers: { Authorization: `Bearer ${token}` }, cache: "no-store"
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const js = await res.json();
+      const multiDay = to - from > 2 * DAY;
+      setBucket(js.bucket);
+      setChannels(js.channels || []);
+      setSel(null);
+      setRows(js.points.map(p => ({
+        t: new Date(p.t).getTime(),
+        time: multiDay ? new Date(p.t).toLocaleString() : new Date(p.t).toLocaleTimeString(),
+        pv: p.pv.avg,
+        pvRange: [p.pv.min, p.pv.max],
+        ...Object.fromEntries((js.channels || []).map(c => [series(c.key), p.values?.[c.key]?.avg ?? null])),
+        sp: p.sp,
+        dutyR1: p.dutyR1, dutyR2: p.dutyR2
+      })));
+    } catch (e) {
+      console.warn("history failed", e);
+      setErr("No se pudo leer el histórico.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Descarga del rango en el formato elegido (lecturas crudas, hora local)
+  const exportFile = async () => {
+    const from = new Date(range.from), to = new Date(range.to);
+    if (!(from < to)) { setErr("Rango inválido."); return; }
+    try {
+      setErr("");
+      const qs = new URLSearchParams({
+        format, from: from.toISOString(), to: to.toISOString(),
+        tz: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
+      const res = await fetch(`${API}/api/export/${encodeURIComponent(deviceId)}?${qs}`, {
+        headers: { Authorization: `Bearer ${token}` }, cache: "no-store"
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${deviceId}_readings.${format === "ndjson" ? "ndjson" : "csv"}`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+      console.warn("export failed", e);
+      setErr("No se pudo exportar.");
+    }
+  };
+
+  const apply = (r, push = true) => {
+    if (push) setStack(s => [...s, range]);
+    setRange(r);
+    load(r);
+  };
+
+  // Zoom: vuelve a pedir la selección con resolución más fina
+  const zoomIn = () => {
+    if (!sel || sel.endIndex <= sel.startIndex) return;
+    const a = rows[sel.startIndex], b = rows[sel.endIndex];
+    apply({ from: toLocalInput(a.t), to: toLocalInput(b.t + (bucket || 0) * 1000) });
+  };
+
+  const zoomOut = () => {
+    const prev = stack[stack.length - 1];
+    if (!prev) return;
+    setStack(s => s.slice(0, -1));
+    apply(prev, false);
+  };
+
+  if (!token) {
+    return (
+      <div className="panel" style={{marginTop:16}}>
+        <div className="label">Histórico</div>
+        <div style={{color:"#cbd5e1", fontSize:14}}>Inicia sesión para consultar el histórico.</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="panel" style={{marginTop:16}}>
+      <div className="label" style={{marginBottom:6}}>
+        Histórico {bucket ? `· resolución ${fmtBucket(bucket)}` : ""}
+      </div>
+      <div style={{display:"flex", gap:8, flexWrap:"wrap", alignItems:"center", marginBottom:8}}>
+        <input className="input" type="datetime-local" value={range.from}
+          onChange={(e)=>setRange(r => ({ ...r, from: e.target.value }))} />
+        <input className="input" type="datetime-local" value={range.to}
+          onChange={(e)=>setRange(r => ({ ...r, to: e.target.value }))} />
+        <button className="btn" onClick={()=>apply(range)} disabled={loading}>
+          {loading ? "Cargando…" : "Cargar"}
+        </button>
+        <button className="btn" onClick={zoomIn} disabled={!sel || loading}>Zoom a selección</button>
+        <button className="btn" onClick={zoomOut} disabled={!stack.length || loading}>Alejar</button>
+        <select className="input" value={format} onChange={(e)=>setFormat(e.target.value)}>
+          <option value="csv">CSV</option>
+          <option value="excel">Excel (CSV)</option>
+          <option value="ndjson">NDJSON</option>
+        </select>
+        <button className="btn" onClick={exportFile}>Exportar</button>
+      </div>
+      {err && <div className="err">{err}</div>}
+      <div style={{height:320}}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={rows} margin={{ top: 5, right: 20, left: 0, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
+            <XAxis dataKey="time" stroke="#94a3b8" tick={{ fill: "#94a3b8" }} minTickGap={40} />
+            <YAxis stroke="#94a3b8" tick={{ fill: "#94a3b8" }} domain={["auto","auto"]} />
+            <YAxis yAxisId="duty" orientation="right" domain={[0, 100]} stroke="#94a3b8" tick={{ fill: "#94a3b8" }} unit="%" />
+            {channels.some(c => !onTempAxis(c)) && (
+              <YAxis yAxisId="alt" orientation="right" domain={["auto","auto"]} stroke="#94a3b8" tick={{ fill: "#94a3b8" }}
+                unit={channels.find(c => !onTempAxis(c)).unit} />
+            )}
+            <Tooltip contentStyle={{ background: "#0b1220", border: "1px solid #1f2937", color: "#e5e7eb" }} />
+            <Legend wrapperStyle={{ color: "#94a3b8" }} />
+
+            {/* Banda min..max del PV en cada intervalo */}
+            <Area type="monotone" dataKey="pvRange" stroke="none" fill="#22d3ee" fillOpacity={0.15} name="PV min/max" isAnimationActive={false} />
+            <Line type="monotone" dataKey="pv" stroke="#22d3ee" dot={false} name="PV" isAnimationActive={false} />
+            {channels.map(c => (
+              <Line key={c.key} yAxisId={onTempAxis(c) ? 0 : "alt"} type="monotone" dataKey={series(c.key)}
+                stroke={c.color} dot={false} name={c.label} strokeWidth={1} isAnimationActive={false} />
+            ))}
+            <Line type="stepAfter" dataKey="sp" stroke="#ef4444" dot={false} name="SP" strokeDasharray="6 3" isAnimationActive={false} />
+            <Line yAxisId="duty" type="stepAfter" dataKey="dutyR1" stroke="#a78bfa" dot={false} name="Duty R1 %" strokeWidth={1} isAnimationActive={false} />
+            <Line yAxisId="duty" type="stepAfter" dataKey="dutyR2" stroke="#f97316" dot={false} name="Duty R2 %" strokeWidth={1} isAnimationActive={false} />
+
+            {rows.length > 1 && (
+              <Brush dataKey="time" height={24} stroke="#31425f" fill="#0c1426" travellerWidth={8}
+                onChange={(r)=>setSel(r)} />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+// Sesión del dashboard: access token corto (JWT) + refresh token, en localStorage
+const API = import.meta.env.VITE_API_BASE;
+
+export function loadSession() {
+  return {
+    token: localStorage.getItem("token") || "",
+    refreshToken: localStorage.getItem("refreshToken") || ""
+  };
+}
+
+export function saveSession(s) {
+  localStorage.setItem("token", s.token);
+  localStorage.setItem("refreshToken", s.refreshToken);
+}
+
+export function clearSession() {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+}
+
+// Vencimiento (ms epoch) leído del propio JWT; 0 si no se puede leer
+export function tokenExp(token) {
+  try {
+    const p = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(p)).exp * 1000;
+  } catch {
+    return 0;
+  }
+}
+
+export async function login(email, password) {
+  const res = await fetch(`${API}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email, password })
+  });
+  if (res.status === 429) throw new Error("Demasiados intentos, espera unos minutos.");
+  if (!res.ok) throw new Error("Credenciales inválidas.");
+  const s = await res.json();
+  saveSession(s);
+  return s;
+}
+
+// Renueva el access token. null = sesión terminada (hay que volver a entrar);
+// un error de red se propaga para reintentar más tarde.
+export async function refresh() {
+  const { refreshToken } = loadSession();
+  if (!refreshToken) return null;
+  const res = await fetch(`${API}/api/auth/refresh`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken })
+  });
+  if (res.ok) {
+    const s = await res.json();
+    saveSession(s);
+    return s;
+  }
+  // Otra pestaña pudo rotarlo recién: si cambió, vale el nuevo
+  const now = loadSession();
+  return now.refreshToken && now.refreshToken !== refreshToken ? now : null;
+}
+
+export async function logout() {
+  const { token, refreshToken } = loadSession();
+  clearSession();
+  await fetch(`${API}/api/auth/logout`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ refreshToken })
+  }).catch(() => null);
+}
@@ -0,0 +1,11 @@
+// Canales de medición del dispositivo (definiciones que entregan /api/status,
+// el canal en vivo y /api/history). En los gráficos cada canal es la serie
+// "c_<clave>" para no chocar con pv / sp / time.
+export const series = (key) => `c_${key}`;
+
+// { s1: 20.5 } -> { c_s1: 20.5 }
+export const flatValues = (values = {}) =>
+  Object.fromEntries(Object.entries(values).map(([k, v]) => [series(k), v]));
+
+// Canales en °C comparten el eje del PV; el resto va a un eje propio
+export const onTempAxis = (ch) => ch.unit === "°C";
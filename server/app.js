@@ -0,0 +1,2832 @@
+// app.js
+// App Express: modelos, lógica de control y rutas. No conecta a Mongo ni
+// escucha: de eso se encarga server.js (y los tests, con su propia base).
+import express from "express";
+import cors from "cors";
+import helmet from "helmet";
+import morgan from "morgan";
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import Papa from "papaparse";
+import { PV_STRATEGIES, computePv, checkSensors } from "./lib/pv.js";
+import { INTERLOCK_TYPES, LATCHING, evaluateSafety, nextRelayTimes } from "./lib/safety.js";
+import { pidStep, timeProportional, analyzeStepResponse } from "./lib/pid.js";
+import { STEP_TYPES, parseHHMM, scheduleSp, evaluateProgram } from "./lib/program.js";
+import { ALARM_TYPES, SEVERITIES, evaluateRule, nextAlarmAction } from "./lib/alarms.js";
+import { CHANNEL_TYPES, formatAlarmMessage, sendNotification } from "./lib/notify.js";
+import { sseHeaders, sendEvent, subscribe, publish, closeStreams, subscriberCount } from "./lib/live.js";
+import { startMqttBridge } from "./lib/mqtt.js";
+import { energyState, energyTotals, validTimeZone, PERIODS } from "./lib/energy.js";
+import { diffPaths, summarize } from "./lib/audit.js";
+import { generateToken, hashToken, tokenPrefix, tokenQuery } from "./lib/tokens.js";
+import { createLimiter, rateLimit } from "./lib/ratelimit.js";
+import { errorBody, fail, errorHandler, notFoundHandler, asyncRoutes } from "./lib/errors.js";
+import { validate, check, z, zDeviceId, zObjectId, zDate, zLimit, zFlag } from "./lib/validate.js";
+import { ROLLUP_RES, rawSampleStages, rawGroupStages, rollupGroupStages, mergePoints, floorTo } from "./lib/rollup.js";
+import {
+  SENSOR_TYPES, LEGACY_KEYS, MAX_CHANNELS, CHANNEL_KEY, RESERVED_KEYS,
+  channelsOf, isTemperature, pvKeys, channelValues, readingValues
+} from "./lib/channels.js";
+import {
+  EXPORT_FORMATS, IMPORT_FORMATS, DELIMITERS, exportColumns, parseTs,
+  readingRecord, pointRecord, csvLine, formatRecord
+} from "./lib/export.js";
+
+export const app = asyncRoutes(express());
+
+/* -------------------- CORS (multi‑origen, preflight) -------------------- */
+function parseOrigins(str) {
+  if (!str || str === "*") return "*";
+  return String(str)
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+const allowedOrigins = parseOrigins(process.env.CORS_ORIGIN);
+
+// Si es "*", permitimos todo. Si es lista, validamos cada request.
+const corsOptions = {
+  origin: (origin, cb) => {
+    if (!origin) return cb(null, true); // curl / firmware
+    if (allowedOrigins === "*" || allowedOrigins.includes(origin)) {
+      return cb(null, true);
+    }
+    return cb(new Error(`CORS blocked: ${origin}`), false);
+  },
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  credentials: true,
+  allowedHeaders: ["Content-Type", "Authorization", "x-device-token", "x-firmware-version"],
+};
+app.use(cors(corsOptions));
+app.options("*", cors(corsOptions)); // preflight
+
+/* ----------------------------- Middlewares ------------------------------ */
+app.set("trust proxy", 1); // Render/Reverse proxy
+app.use(helmet());
+app.use(express.json({ limit: "1mb" }));
+// Sin credenciales en los logs (?ticket= del canal en vivo)
+morgan.token("url", req => (req.originalUrl || req.url).replace(/([?&](?:ticket|token)=)[^&]*/g, "$1***"));
+if (process.env.NODE_ENV !== "test") app.use(morgan("dev"));
+
+/* -------------------------------- Schemas -------------------------------- */
+// viewer: solo lectura · operator: además cambia config/relés/programas · admin: todo
+const ROLES = ["admin", "operator", "viewer"];
+const ROLE_RANK = { viewer: 0, operator: 1, admin: 2 };
+
+const UserSchema = new mongoose.Schema({
+  email: { type: String, unique: true },
+  name: String,
+  passwordHash: String,
+  role: { type: String, enum: ROLES, default: "viewer" },
+  enabled: { type: Boolean, default: true },
+  // Acceso por dispositivo y/o por grupo (Device.group); el admin ve todo
+  devices: { type: [String], default: [] },
+  groups: { type: [String], default: [] },
+  passwordChangedAt: Date,
+  // Se incrementa para invalidar todos los access tokens emitidos (logout-all,
+  // cambio de contraseña, deshabilitar)
+  tokenVersion: { type: Number, default: 0 }
+}, { timestamps: true });
+
+// Sesiones de usuario: refresh token (solo hash) que se rota en cada uso
+const SessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  tokenHash: { type: String, index: true },
+  prevTokenHash: { type: String, index: true, sparse: true },
+  rotatedAt: Date,
+  expiresAt: Date,
+  revokedAt: Date,
+  ip: String,
+  userAgent: String
+}, { timestamps: true });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DeviceSchema = new mongoose.Schema({
+  deviceId: { type: String, unique: true },
+  name: String,
+  group: String,
+  // Token solo como hash (lib/tokens.js); tras una rotación el anterior
+  // sigue valiendo hasta prevTokenExpiresAt
+  tokenHash: { type: String, index: true },
+  tokenPrefix: String,
+  tokenRotatedAt: Date,
+  prevTokenHash: { type: String, index: true, sparse: true },
+  prevTokenExpiresAt: Date,
+  enabled: { type: Boolean, default: true },
+  // Último contacto del equipo (push, batch o MQTT)
+  lastSeenAt: Date,
+  lastIp: String,
+  firmware: String,
+  transport: String
+}, { timestamps: true });
+
+const RELAYS  = ["r1", "r2"];
+const MODES   = ["auto", "manual", "pid"];
+
+// Canal de medición (lib/channels.js). El valor guardado es
+// crudo * gain + offset, en la unidad del canal.
+const ChannelSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  label: String,
+  unit: { type: String, default: "°C" },
+  type: { type: String, enum: SENSOR_TYPES, default: "thermocouple" },
+  offset: { type: Number, default: 0 },
+  gain: { type: Number, default: 1 },
+  color: String
+}, { _id: false });
+
+// Lazo de control por relé. Campos sin definir heredan de la config general
+// (sp/h del dispositivo y los sensores del PV), así el default sigue siendo
+// el comportamiento original con ambos relés juntos. Los sensores son
+// claves de canal del dispositivo.
+const LoopSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: true },
+  sp: Number,
+  h:  Number,
+  sensors: { type: [String], default: undefined }
+}, { _id: false });
+
+// Cálculo de PV y reglas de plausibilidad de sensores. Los límites por
+// defecto corresponden al rango útil de una termocupla tipo K.
+const PvConfigSchema = new mongoose.Schema({
+  strategy: { type: String, enum: PV_STRATEGIES, default: "mean" },
+  sensors: { type: [String], default: undefined },
+  weights: { type: Map, of: Number }
+}, { _id: false });
+
+const PlausibilitySchema = new mongoose.Schema({
+  min: { type: Number, default: -200 },
+  max: { type: Number, default: 1350 },
+  maxRate: { type: Number, default: 0 },       // °C/s, 0 = desactivado
+  stuckCount: { type: Number, default: 0 },    // lecturas iguales, 0 = desactivado
+  stuckEpsilon: { type: Number, default: 0.01 }
+}, { _id: false });
+
+// Límites de seguridad (segundos / °C). 0 = desactivado.
+const SafetySchema = new mongoose.Schema({
+  maxTemp: { type: Number, default: 0 },
+  maxOnTime: { type: Number, default: 0 },
+  minOffTime: { type: Number, default: 0 },
+  staleTimeout: { type: Number, default: 0 }
+}, { _id: false });
+
+// PID con salida proporcional en el tiempo (salida en %, tiempos en s)
+const PidSchema = new mongoose.Schema({
+  kp: { type: Number, default: 10 },
+  ki: { type: Number, default: 0.01 },
+  kd: { type: Number, default: 0 },
+  outMin: { type: Number, default: 0 },
+  outMax: { type: Number, default: 100 },
+  cycle: { type: Number, default: 60 }
+}, { _id: false });
+
+// Horario semanal de SP. days: 0 = domingo ... 6 = sábado, time "HH:MM"
+const ScheduleSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  timezone: { type: String, default: "UTC" },
+  entries: [{ _id: false, days: [Number], time: String, sp: Number }]
+}, { _id: false });
+
+// Lecho de arena y calefactores para el balance energético (lib/energy.js)
+const EnergySchema = new mongoose.Schema({
+  powerR1: { type: Number, default: 0 },   // kW
+  powerR2: { type: Number, default: 0 },   // kW
+  massKg: { type: Number, default: 0 },
+  cp: { type: Number, default: 0.835 },    // kJ/(kg·K), arena seca
+  tMin: { type: Number, default: 20 },     // °C = 0 % de carga
+  tMax: { type: Number, default: 600 }     // °C = 100 % de carga
+}, { _id: false });
+
+// Retención por dispositivo en días (0 = sin límite). Por defecto se guarda
+// todo; el admin la activa por dispositivo.
+const RetentionSchema = new mongoose.Schema({
+  rawDays: { type: Number, default: 0 },
+  minuteDays: { type: Number, default: 0 },
+  hourDays: { type: Number, default: 0 }
+}, { _id: false });
+
+const ConfigSchema = new mongoose.Schema({
+  deviceId: { type: String, unique: true },
+  sp: { type: Number, default: 60 },
+  h:  { type: Number, default: 2 },
+  mode: { type: String, enum: MODES, default: "auto" },
+  // Canales de medición; vacío = s1..s4 termocuplas (DEFAULT_CHANNELS)
+  channels: { type: [ChannelSchema], default: undefined },
+  // Estado comandado por el usuario en modo manual
+  manual: {
+    r1: { type: Boolean, default: false },
+    r2: { type: Boolean, default: false }
+  },
+  // Calentamiento escalonado: un lazo independiente por relé
+  loops: {
+    r1: { type: LoopSchema, default: () => ({}) },
+    r2: { type: LoopSchema, default: () => ({}) }
+  },
+  pv: { type: PvConfigSchema, default: () => ({}) },
+  plausibility: { type: PlausibilitySchema, default: () => ({}) },
+  safety: { type: SafetySchema, default: () => ({}) },
+  pid: { type: PidSchema, default: () => ({}) },
+  schedule: { type: ScheduleSchema, default: () => ({}) },
+  retention: { type: RetentionSchema, default: () => ({}) },
+  energy: { type: EnergySchema, default: () => ({}) }
+}, { timestamps: true });
+
+const ReadingSchema = new mongoose.Schema({
+  deviceId: String,
+  values: { type: Map, of: Number }, // por clave de canal, ya calibrado (null = sin dato)
+  s1: Number, s2: Number, s3: Number, s4: Number, // formato anterior, solo lectura
+  pv: Number,
+  sp: Number, // SP efectivo al momento de la lectura (programa/horario/config)
+  desiredR1: Boolean, desiredR2: Boolean,
+  r1: Boolean, r2: Boolean, // opcional: estado físico final si quieres guardarlo
+  faults: { type: Map, of: String }, // sensores excluidos del PV: { s3: "stuck" }
+  seq: Number,        // secuencia del firmware (dedupe de reenvíos)
+  boot: String,       // id de arranque del firmware: el seq se reinicia con él
+  backfill: Boolean,  // subida diferida: guardada sin correr el control
+  ts: { type: Date, default: Date.now }
+}, { timestamps: true });
+ReadingSchema.index({ deviceId: 1, ts: -1 });
+ReadingSchema.index({ deviceId: 1, boot: 1, seq: 1 }, { unique: true, partialFilterExpression: { seq: { $exists: true } } });
+
+// Rollups de lecturas por minuto / hora (ver lib/rollup.js)
+const StatSchema = new mongoose.Schema({ min: Number, max: Number, avg: Number, n: Number }, { _id: false });
+const ReadingRollupSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  res: { type: String, enum: Object.keys(ROLLUP_RES), required: true },
+  t: { type: Date, required: true },
+  count: Number,
+  sp: Number, dutyR1: Number, dutyR2: Number, onSecR1: Number, onSecR2: Number,
+  pv: StatSchema,
+  values: { type: Map, of: StatSchema },
+  s1: StatSchema, s2: StatSchema, s3: StatSchema, s4: StatSchema // formato anterior
+}, { versionKey: false });
+ReadingRollupSchema.index({ deviceId: 1, res: 1, t: 1 }, { unique: true });
+
+// Cola de comandos de relé (modo manual). El firmware los recibe en la
+// respuesta del push y quedan "acked" cuando reporta el estado físico pedido.
+const CommandSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  relay: { type: String, enum: ["r1", "r2"], required: true },
+  state: { type: Boolean, required: true },
+  status: { type: String, enum: ["pending", "sent", "acked", "cancelled"], default: "pending" },
+  issuedBy: String,
+  sentAt: Date,
+  ackedAt: Date
+}, { timestamps: true });
+CommandSchema.index({ deviceId: 1, status: 1, createdAt: 1 });
+
+// Perfiles rampa/meseta por dispositivo
+const ProfileStepSchema = new mongoose.Schema({
+  type: { type: String, enum: STEP_TYPES, required: true },
+  target: Number,   // °C (ramp / cool)
+  rate: Number,     // °C/h (ramp)
+  duration: Number  // s (soak / cool)
+}, { _id: false });
+
+const ProfileSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  name: { type: String, required: true },
+  steps: [ProfileStepSchema]
+}, { timestamps: true });
+ProfileSchema.index({ deviceId: 1, name: 1 }, { unique: true });
+
+// Estado de control persistente entre pushes (tiempos de relé, última lectura válida)
+const ControlStateSchema = new mongoose.Schema({
+  deviceId: { type: String, unique: true },
+  lastValidAt: Date,
+  onSince:  { r1: Date, r2: Date },
+  offSince: { r1: Date, r2: Date },
+  inhibits: { r1: Date, r2: Date }, // anti ciclo corto: bloqueado hasta
+  // Estado del PID (persistido para sobrevivir reinicios del servidor)
+  pid: {
+    integral: Number, lastPv: Number, lastAt: Date,
+    output: Number, duty: Number, windowStart: Date
+  },
+  // Autotune por escalón: mientras corre, controla los relés en lugar del lazo
+  autotune: {
+    status: { type: String, enum: ["running", "done", "aborted", "failed"] },
+    step: Number, rise: Number, maxDuration: Number,
+    startedAt: Date, startedBy: String, endedAt: Date, reason: String,
+    samples: [{ _id: false, t: Date, pv: Number }],
+    result: { R: Number, L: Number, kp: Number, ki: Number, kd: Number }
+  },
+  // Marcas de agua de rollups: todo lo anterior ya está agregado.
+  // rawCut/minuteCut: hasta dónde la retención ya borró lecturas crudas y
+  // rollups por minuto (lo anterior no se puede volver a agregar)
+  rollup: { minuteUntil: Date, hourUntil: Date, lastRunAt: Date, rawCut: Date, minuteCut: Date },
+  // Programa rampa/meseta en curso (copia de los pasos al iniciarlo)
+  program: {
+    profileId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    steps: [ProfileStepSchema],
+    status: { type: String, enum: ["running", "paused", "done", "aborted"] },
+    stepIndex: Number, stepStartedAt: Date, stepStartSp: Number,
+    pausedAt: Date, startedAt: Date, startedBy: String, endedAt: Date
+  }
+}, { timestamps: true });
+
+// Disparos de enclavamientos: activos hasta reset (registro histórico)
+const InterlockSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  type: { type: String, enum: INTERLOCK_TYPES, required: true },
+  relay: { type: String, enum: RELAYS },
+  value: Number,
+  limit: Number,
+  active: { type: Boolean, default: true },
+  trippedAt: { type: Date, default: Date.now },
+  resetAt: Date,
+  resetBy: String
+}, { timestamps: true });
+InterlockSchema.index({ deviceId: 1, active: 1, trippedAt: -1 });
+
+// Reglas de alarma por dispositivo
+const AlarmRuleSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  name: { type: String, required: true },
+  type: { type: String, enum: ALARM_TYPES, required: true },
+  source: { type: String, default: "pv" }, // high/low: "pv" o clave de canal
+  threshold: Number,       // en la unidad de la fuente (high/low)
+  deadband: { type: Number, default: 0 },
+  delayOn: { type: Number, default: 0 },   // s que debe sostenerse la condición
+  offlineTimeout: Number,  // s (offline)
+  severity: { type: String, enum: SEVERITIES, default: "warning" },
+  enabled: { type: Boolean, default: true },
+  channels: [{ type: mongoose.Schema.Types.ObjectId, ref: "AlarmChannel" }], // vacío = todos
+  pendingSince: Date       // condición vista pero aún dentro de delayOn
+}, { timestamps: true });
+AlarmRuleSchema.index({ deviceId: 1, enabled: 1 });
+
+// Alarmas: active -> acknowledged -> cleared (o active -> cleared)
+const AlarmSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "AlarmRule" },
+  name: String,
+  type: { type: String, enum: ALARM_TYPES },
+  severity: { type: String, enum: SEVERITIES },
+  state: { type: String, enum: ["active", "acknowledged", "cleared"], default: "active" },
+  value: Number,
+  message: String,
+  raisedAt: { type: Date, default: Date.now },
+  ackedAt: Date,
+  ackedBy: String,
+  clearedAt: Date,
+  notifications: [{ _id: false, channel: String, event: String, ok: Boolean, error: String, at: Date }]
+}, { timestamps: true });
+AlarmSchema.index({ deviceId: 1, state: 1, raisedAt: -1 });
+AlarmSchema.index({ ruleId: 1, state: 1 });
+// Una sola alarma abierta por regla: dos pushes seguidos no la duplican
+AlarmSchema.index({ ruleId: 1 }, {
+  unique: true, name: "ruleId_open", partialFilterExpression: { state: { $in: ["active", "acknowledged"] } }
+});
+
+// Canales de notificación (webhook / smtp); config depende del tipo
+const AlarmChannelSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  type: { type: String, enum: CHANNEL_TYPES, required: true },
+  enabled: { type: Boolean, default: true },
+  config: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: true });
+
+// Auditoría: quién cambió qué, desde dónde (solo inserción)
+const AuditSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  action: { type: String, required: true },     // "config.update", "auth.login", ...
+  actor: String,                                // email, "device:<id>" o "system"
+  actorRole: String,
+  deviceId: String,
+  changes: [{ _id: false, path: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }],
+  summary: String,
+  meta: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, { versionKey: false });
+AuditSchema.index({ deviceId: 1, at: -1 });
+AuditSchema.index({ at: -1 });
+AuditSchema.pre("save", function(){
+  if (!this.isNew) throw new Error("audit log is append-only");
+});
+for (const op of ["updateOne","updateMany","replaceOne","findOneAndUpdate","findOneAndReplace",
+  "deleteOne","deleteMany","findOneAndDelete"]) {
+  AuditSchema.pre(op, function(){ throw new Error("audit log is append-only"); });
+}
+
+// Pasos de instalación que ocurren una sola vez (_id único: "admin" = seed)
+const SetupSchema = new mongoose.Schema({ _id: String, at: { type: Date, default: Date.now } }, { versionKey: false });
+
+const User   = mongoose.model("User", UserSchema);
+const Session = mongoose.model("Session", SessionSchema);
+const Device = mongoose.model("Device", DeviceSchema);
+const Config = mongoose.model("Config", ConfigSchema);
+const Reading= mongoose.model("Reading", ReadingSchema);
+const ReadingRollup = mongoose.model("ReadingRollup", ReadingRollupSchema);
+const Command= mongoose.model("Command", CommandSchema);
+const Profile = mongoose.model("Profile", ProfileSchema);
+const ControlState = mongoose.model("ControlState", ControlStateSchema);
+const Interlock = mongoose.model("Interlock", InterlockSchema);
+const AlarmRule = mongoose.model("AlarmRule", AlarmRuleSchema);
+const Alarm = mongoose.model("Alarm", AlarmSchema);
+const AlarmChannel = mongoose.model("AlarmChannel", AlarmChannelSchema);
+const Audit = mongoose.model("Audit", AuditSchema);
+const Setup = mongoose.model("Setup", SetupSchema);
+
+/* ------------------------------- Utils/Auth ------------------------------ */
+const clamp = (n,a,b)=>Math.min(Math.max(n,a),b);
+const signJWT = (p,exp="7d") => jwt.sign(p, process.env.JWT_SECRET, { expiresIn: exp });
+const verifyJWT = (t)=> jwt.verify(t, process.env.JWT_SECRET);
+
+// Access token corto + refresh token de larga duración (por sesión)
+const ACCESS_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+function sessionTokens(u, session, refreshToken){
+  const token = signJWT({ uid: u._id, email: u.email, role: u.role, sid: session._id, tv: u.tokenVersion || 0 }, ACCESS_TTL);
+  return { token, refreshToken, expiresAt: new Date(jwt.decode(token).exp * 1000), role: u.role };
+}
+
+async function openSession(req, u){
+  const refreshToken = generateToken();
+  const session = await Session.create({
+    userId: u._id, tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_DAYS * 86400000),
+    ip: req.ip, userAgent: req.get("user-agent")
+  });
+  return sessionTokens(u, session, refreshToken);
+}
+
+// Cierra todas las sesiones e invalida los access tokens ya emitidos
+async function revokeUserSessions(userId, exceptSid){
+  const q = { userId, revokedAt: null };
+  if (exceptSid) q._id = { $ne: exceptSid };
+  await Session.updateMany(q, { revokedAt: new Date() });
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  closeStreams(s => s.uid === String(userId) && (!exceptSid || s.sid !== String(exceptSid)));
+}
+
+// Usuario de un JWT ya verificado si el usuario y la sesión siguen vigentes
+// (null si no): deshabilitar, cambiar rol/permisos, contraseña o cerrar la
+// sesión tiene efecto inmediato.
+async function sessionUser(payload){
+  // Tokens sin sesión (emitidos antes de los refresh tokens) ya no valen
+  if (!mongoose.isValidObjectId(payload.uid) || !mongoose.isValidObjectId(payload.sid)) return null;
+  const [u, live] = await Promise.all([
+    User.findById(payload.uid).lean(),
+    Session.exists({ _id: payload.sid, revokedAt: null })
+  ]);
+  if (!u || !u.enabled || !live || (payload.tv ?? 0) !== (u.tokenVersion || 0)) return null;
+  return {
+    uid: String(u._id), sid: String(payload.sid), email: u.email, role: u.role,
+    devices: u.devices || [], groups: u.groups || []
+  };
+}
+
+async function userAuth(req,res,next){
+  const h = req.header("authorization") || "";
+  const t = h.startsWith("Bearer ") ? h.slice(7) : null;
+  if (!t) return fail(res, 401, "No token");
+  let payload;
+  try { payload = verifyJWT(t); }
+  catch { return fail(res, 401, "Invalid token"); }
+  if (payload.typ) return fail(res, 401, "Invalid token"); // tickets del canal en vivo
+  try {
+    req.user = await sessionUser(payload);
+    if (!req.user) return fail(res, 401, "Invalid token");
+    req.auth = payload;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+const hasRole = (user, role)=> ROLE_RANK[user?.role] >= ROLE_RANK[role];
+const requireRole = (role)=> (req,res,next)=> hasRole(req.user, role) ? next() : fail(res, 403, "Forbidden");
+
+// Dispositivos permitidos: null = todos (admin). Se calcula una vez por request.
+async function allowedDevices(req){
+  if (req.user.role === "admin") return null;
+  if (!req.allowedDevices) {
+    const ids = new Set(req.user.devices);
+    if (req.user.groups.length) {
+      const inGroups = await Device.find({ group: { $in: req.user.groups } }, { deviceId: 1 }).lean();
+      for (const d of inGroups) ids.add(d.deviceId);
+    }
+    req.allowedDevices = [...ids];
+  }
+  return req.allowedDevices;
+}
+
+async function canAccess(req, deviceId){
+  const ids = await allowedDevices(req);
+  return ids === null || ids.includes(String(deviceId));
+}
+
+// Filtro Mongo para listados sin deviceId
+async function deviceFilter(req){
+  const ids = await allowedDevices(req);
+  return ids === null ? {} : { deviceId: { $in: ids } };
+}
+
+// Rol mínimo + permiso sobre el deviceId de la ruta (params, query o body).
+// Sin deviceId sigue de largo: la ruta valida o filtra con deviceFilter.
+function deviceAccess(role = "viewer"){
+  return async (req,res,next)=>{
+    if (!hasRole(req.user, role)) return fail(res, 403, "Forbidden");
+    const deviceId = req.params.deviceId ?? req.query.deviceId ?? req.body?.deviceId;
+    try {
+      if (deviceId !== undefined && !(await canAccess(req, deviceId))) return fail(res, 403, "Forbidden");
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// EventSource no permite headers: el canal en vivo se abre con ?ticket=, un
+// JWT de un minuto solo para ese dispositivo (POST /api/live/:deviceId/ticket).
+// La URL con el ticket no sirve para otra cosa aunque quede en algún log, y el
+// stream se corta al vencer el access token con que se pidió.
+const STREAM_TICKET_TTL = "60s";
+
+async function streamAuth(req,res,next){
+  const t = typeof req.query.ticket === "string" ? req.query.ticket : null;
+  if (!t) return fail(res, 401, "No ticket");
+  let payload;
+  try { payload = verifyJWT(t); }
+  catch { return fail(res, 401, "Invalid ticket"); }
+  if (payload.typ !== "stream" || payload.deviceId !== req.params.deviceId) return fail(res, 401, "Invalid ticket");
+  try {
+    req.user = await sessionUser(payload);
+    if (!req.user) return fail(res, 401, "Invalid ticket");
+    req.auth = payload;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Límites por IP / dispositivo (en memoria, ver lib/ratelimit.js)
+const loginLimiter = createLimiter({ windowMs: 15 * 60000, max: Number(process.env.LOGIN_RATE_LIMIT) || 20 });
+const pushIpLimiter = createLimiter({ windowMs: 60000, max: Number(process.env.PUSH_IP_RATE_LIMIT) || 600 });
+const pushDeviceLimiter = createLimiter({ windowMs: 60000, max: Number(process.env.PUSH_RATE_LIMIT) || 120 });
+// Por cuenta: frena la fuerza bruta distribuida contra un mismo email (un
+// login correcto reinicia la cuenta)
+const loginAccountLimiter = createLimiter({ windowMs: 15 * 60000, max: Number(process.env.LOGIN_ACCOUNT_RATE_LIMIT) || 10 });
+const limitLogin = rateLimit(loginLimiter, req => req.ip);
+const accountKey = (req)=> typeof req.body?.email === "string" ? req.body.email.toLowerCase() : null;
+const limitLoginAccount = rateLimit(loginAccountLimiter, accountKey);
+const limitPushIp = rateLimit(pushIpLimiter, req => req.ip);
+const limitPushDevice = rateLimit(pushDeviceLimiter, req => req.device?.deviceId ?? null);
+
+async function deviceAuth(req,res,next){
+  const tok = req.header("x-device-token");
+  if (!tok) return fail(res, 401, "No device token");
+  const dev = await Device.findOne({ enabled: true, ...tokenQuery(tok) });
+  if (!dev) return fail(res, 403, "Forbidden");
+  touchDevice(dev, { ip: req.ip, firmware: req.header("x-firmware-version") || req.body?.fw, transport: "http" });
+  req.device = dev; next();
+}
+
+// /api/thermo/status: token del dispositivo (solo su propio deviceId)
+// o JWT de usuario con acceso al dispositivo
+async function statusAuth(req,res,next){
+  const tok = req.header("x-device-token");
+  if (!tok) return userAuth(req, res, (err)=> err ? next(err) : deviceAccess()(req, res, next));
+  const dev = await Device.findOne({ enabled: true, ...tokenQuery(tok) }).lean();
+  if (!dev) return fail(res, 403, "Forbidden");
+  if (req.query.deviceId && req.query.deviceId !== dev.deviceId) return fail(res, 403, "Forbidden");
+  req.query.deviceId = dev.deviceId;
+  req.device = dev; next();
+}
+
+// Último contacto / firmware / IP (sin esperar: no demora la respuesta al equipo)
+function touchDevice(dev, { ip, firmware, transport }){
+  const set = { lastSeenAt: new Date(), transport };
+  if (ip) set.lastIp = ip;
+  if (typeof firmware === "string" && firmware) set.firmware = firmware.slice(0, 64);
+  Device.updateOne({ _id: dev._id }, { $set: set })
+    .catch(err => console.error("touchDevice:", err?.message || err));
+}
+
+// Device para la API (sin hashes de token)
+function deviceView(d){
+  const { tokenHash: _h, prevTokenHash: _p, __v: _v, ...rest } = d;
+  return { ...rest, graceActive: !!d.prevTokenExpiresAt && new Date(d.prevTokenExpiresAt) > new Date() };
+}
+
+// Lazo efectivo de un relé (rellena con sp/h/sensores generales).
+// Con programa u horario activo (spEff) los lazos con SP propio conservan
+// su diferencia respecto del SP general.
+function resolveLoop(cfg, relay, spEff = cfg.sp){
+  const l = cfg.loops?.[relay] || {};
+  return {
+    enabled: l.enabled !== false,
+    sp: Number.isFinite(l.sp) ? l.sp + (spEff - cfg.sp) : spEff,
+    h:  Number.isFinite(l.h) && l.h > 0 ? l.h : cfg.h,
+    sensors: l.sensors?.length ? [...l.sensors] : pvKeys(cfg)
+  };
+}
+
+// Opciones de computePv de la config (los pesos pueden venir como Map)
+function pvOptions(cfg){
+  const w = cfg.pv?.weights;
+  return {
+    strategy: cfg.pv?.strategy,
+    weights: w instanceof Map ? Object.fromEntries(w) : w,
+    sensors: pvKeys(cfg)
+  };
+}
+
+// Lectura para la API: valores por canal también en datos s1..s4
+function readingView(r){
+  return r ? { ...r, values: readingValues(r) } : r;
+}
+
+// SP efectivo: programa en curso > horario semanal > SP de la config.
+// heat=false en pasos de enfriamiento (relés apagados en auto/pid).
+// `run` trae el avance del programa para persistir (o null).
+function effectiveSetpoint(cfg, state, pv, at){
+  const prog = state?.program;
+  if (prog && ["running","paused"].includes(prog.status)) {
+    const r = evaluateProgram(prog, prog.steps || [], pv, at);
+    if (r.run.status !== "done") {
+      return { sp: r.sp, heat: r.heat, source: "program", run: r.run };
+    }
+    const fallback = effectiveSetpoint(cfg, null, pv, at);
+    return { ...fallback, run: r.run };
+  }
+  const sched = scheduleSp(cfg.schedule, at);
+  if (sched !== null) return { sp: sched, heat: true, source: "schedule", run: null };
+  return { sp: cfg.sp, heat: true, source: "config", run: null };
+}
+
+// Respuesta de /api/thermo/status (también usada por el canal en vivo)
+function statusPayload(cfg, state, interlocks, last){
+  const { deviceId } = cfg;
+  const { desired: relays, actual, mismatch } = relayState(last);
+  const eff = effectiveSetpoint(cfg, state, last?.pv, new Date());
+  const loops = Object.fromEntries(RELAYS.map(r => [r, resolveLoop(cfg, r, eff.sp)]));
+  const faults = last?.faults || {};
+  const pid = pidView(state);
+  const program = programView(eff.run || state?.program);
+  return {
+    deviceId, sp: cfg.sp, h: cfg.h, mode: cfg.mode, spEffective: eff.sp, spSource: eff.source, program,
+    loops, relays, actual, mismatch, faults, interlocks, pid, channels: channelsOf(cfg),
+    energy: energyState(last?.pv, cfg.energy), last: readingView(last)
+  };
+}
+
+async function thermoStatus(cfg, last){
+  const state = await ControlState.findOne({ deviceId: cfg.deviceId }).lean();
+  const interlocks = await activeInterlocks(cfg.deviceId);
+  return statusPayload(cfg, state, interlocks, last);
+}
+
+// Config para el evento "config" del canal en vivo y el tópico MQTT retenido
+let mqttBridge = null;
+function publishConfig(cfg){
+  const c = typeof cfg.toObject === "function" ? cfg.toObject({ flattenMaps: true }) : cfg;
+  publish(c.deviceId, "config", c);
+  mqttBridge?.publishConfig(c.deviceId, c);
+}
+
+// Registro de auditoría; las entradas de un dispositivo salen también por el
+// canal en vivo (anotaciones en el trend). Un fallo aquí no corta la acción.
+async function recordAudit(req, action, { deviceId, changes = [], summary, meta, actor } = {}){
+  try {
+    const entry = await Audit.create({
+      action, deviceId, changes, meta,
+      summary: summary ?? summarize(changes),
+      actor: actor ?? req?.user?.email ?? (req?.device ? `device:${req.device.deviceId}` : "system"),
+      actorRole: req?.user?.role,
+      ip: req?.ip, userAgent: req?.get?.("user-agent")
+    });
+    if (deviceId) publish(deviceId, "audit", entry.toObject());
+    return entry;
+  } catch (err) {
+    console.error("audit:", err?.message || err);
+    return null;
+  }
+}
+
+// Resumen del programa para status
+function programView(prog, at = new Date()){
+  if (!prog?.status) return null;
+  const step = prog.steps?.[prog.stepIndex] || null;
+  const ref = prog.status === "paused" && prog.pausedAt ? prog.pausedAt : at;
+  return {
+    profileId: prog.profileId, name: prog.name, status: prog.status,
+    stepIndex: prog.stepIndex, stepCount: prog.steps?.length || 0, step,
+    stepElapsed: step ? Math.max(0, (new Date(ref) - new Date(prog.stepStartedAt)) / 1000) : null,
+    startedAt: prog.startedAt, endedAt: prog.endedAt
+  };
+}
+
+// On/off con histéresis centrada en SP
+function hysteresis(wasOn, pv, sp, h){
+  if (!Number.isFinite(pv)) return wasOn;
+  if (!wasOn && pv < sp - h/2) return true;
+  if ( wasOn && pv > sp + h/2) return false;
+  return wasOn;
+}
+
+// Referencias a canales inexistentes en lazos, sensores y pesos del PV, con
+// el formato de detalle de lib/validate.js
+function unknownChannelRefs(cfg){
+  const keys = new Set(channelsOf(cfg).map(c => c.key));
+  const refs = [
+    ...RELAYS.flatMap(r => (cfg.loops?.[r]?.sensors || []).map((k, i) => [`loops.${r}.sensors.${i}`, k])),
+    ...(cfg.pv?.sensors || []).map((k, i) => [`pv.sensors.${i}`, k]),
+    ...Object.keys(cfg.pv?.weights || {}).map(k => [`pv.weights.${k}`, k])
+  ];
+  return refs.filter(([, k]) => !keys.has(k))
+    .map(([path, k]) => ({ in: "body", path, message: `canal inexistente: ${k}` }));
+}
+
+// Rangos min/max que quedarían tras el cambio (body sobre lo guardado o los
+// valores por defecto): detalles de validación, vacío si están en orden
+const ORDERED_RANGES = [
+  { section: "pid", lo: "outMin", hi: "outMax", ok: (a, b)=> a <= b },
+  // min >= max marcaría toda lectura como implausible (todos los sensores en falla)
+  { section: "plausibility", lo: "min", hi: "max", ok: (a, b)=> a < b }
+];
+function rangeIssues(prev, body){
+  const defaults = new Config().toObject();
+  return ORDERED_RANGES.filter(r => body[r.section]).flatMap(({ section, lo, hi, ok })=> {
+    const merged = { ...defaults[section], ...prev?.[section], ...body[section] };
+    return ok(merged[lo], merged[hi]) ? [] : [{
+      in: "body", path: `${section}.${lo in body[section] ? lo : hi}`,
+      message: `${section}.${lo} (${merged[lo]}) fuera de orden con ${section}.${hi} (${merged[hi]})`
+    }];
+  });
+}
+
+// Campos de una sección parcial -> rutas con punto para el update ("pid.kp")
+const dotted = (prefix, obj)=> Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [`${prefix}.${k}`, v]));
+
+const strList = (v)=> [...new Set(v.filter(x => typeof x === "string" && x).map(x => x.trim()))];
+
+// Usuario sin hash de contraseña
+function userView(u){
+  if (!u) return null;
+  const { passwordHash: _hash, __v: _v, ...rest } = u;
+  return rest;
+}
+
+// Fin del autotune: subida de PV alcanzada, tiempo máximo o demasiadas muestras.
+// Devuelve los campos a actualizar o null si sigue corriendo.
+function autotuneEnd(tune, at){
+  const pts = tune.samples.filter(s => Number.isFinite(s.pv));
+  const pv0 = pts[0]?.pv;
+  const rise = pts.length ? pts[pts.length-1].pv - pv0 : 0;
+  const elapsed = (at - new Date(tune.startedAt)) / 1000;
+  const reason = rise >= tune.rise ? "rise"
+    : elapsed >= tune.maxDuration ? "timeout"
+    : tune.samples.length >= 5000 ? "samples" : null;
+  if (!reason) return null;
+  const result = analyzeStepResponse(pts, tune.step);
+  if (!result) return { status: "failed", reason: `${reason}: sin respuesta medible` };
+  return { status: "done", reason, result };
+}
+
+// Salida PID y estado del autotune para los endpoints de status
+function pidView(state){
+  const tune = autotuneView(state?.autotune);
+  if (!state?.pid && !tune) return null;
+  return {
+    output: state?.pid?.output ?? null,
+    duty: state?.pid?.duty ?? null,
+    autotune: tune && { status: tune.status, result: tune.result }
+  };
+}
+
+function autotuneView(tune){
+  if (!tune?.status) return null;
+  const { samples = [], ...rest } = tune;
+  return { ...rest, sampleCount: samples.length };
+}
+
+// Enclavamientos activos: disparos sin resetear + bloqueos anti ciclo corto
+async function activeInterlocks(deviceId, now = new Date()){
+  const trips = await Interlock.find({ deviceId, active: true }).sort({ trippedAt: 1 }).lean();
+  const state = await ControlState.findOne({ deviceId }).lean();
+  const list = trips.map(t => ({
+    id: t._id, type: t.type, relay: t.relay, value: t.value, limit: t.limit,
+    since: t.trippedAt, latched: true
+  }));
+  for (const relay of RELAYS) {
+    const until = state?.inhibits?.[relay];
+    if (until && new Date(until) > now) {
+      list.push({ type: "minOffTime", relay, until, latched: false });
+    }
+  }
+  return list;
+}
+
+// Comandado vs. físico a partir de la última lectura
+function relayState(last){
+  const desired = last ? { r1: !!last.desiredR1, r2: !!last.desiredR2 } : { r1:false, r2:false };
+  const actual = {
+    r1: typeof last?.r1 === "boolean" ? last.r1 : null,
+    r2: typeof last?.r2 === "boolean" ? last.r2 : null
+  };
+  const mismatch = {
+    r1: actual.r1 !== null && actual.r1 !== desired.r1,
+    r2: actual.r2 !== null && actual.r2 !== desired.r2
+  };
+  return { desired, actual, mismatch };
+}
+
+/* ----------------------------- Motor de alarmas ---------------------------- */
+// Entrega una notificación por los canales de la regla (o todos los habilitados)
+// y deja registro del resultado en la alarma. No lanza: solo registra fallas.
+async function notifyAlarm(event, alarm, rule){
+  const q = { enabled: true };
+  if (rule?.channels?.length) q._id = { $in: rule.channels };
+  const list = await AlarmChannel.find(q).lean();
+  const message = formatAlarmMessage(event, alarm);
+  for (const ch of list) {
+    const entry = { channel: ch.name, event, ok: true, at: new Date() };
+    try { await sendNotification(ch, message); }
+    catch (err) {
+      entry.ok = false; entry.error = err?.message || String(err);
+      console.warn(`⚠️ Notificación ${ch.name} falló:`, entry.error);
+    }
+    await Alarm.updateOne({ _id: alarm._id }, { $push: { notifications: entry } });
+  }
+}
+
+// Evalúa las reglas del dispositivo contra ctx (ver lib/alarms.js).
+// types limita las reglas evaluadas (el watchdog solo mira "offline").
+async function processAlarms(deviceId, ctx, types = null){
+  const q = { deviceId, enabled: true };
+  if (types) q.type = { $in: types };
+  const rules = await AlarmRule.find(q);
+  for (const rule of rules) {
+    const open = await Alarm.findOne({ ruleId: rule._id, state: { $in: ["active","acknowledged"] } });
+    const result = evaluateRule(rule, ctx, !!open);
+    const { action, pendingSince } = nextAlarmAction(rule, result, rule, !!open, ctx.at);
+    if (String(pendingSince) !== String(rule.pendingSince || null)) {
+      await AlarmRule.updateOne({ _id: rule._id }, { pendingSince });
+    }
+    // Alta y cierre atómicos: si otro push concurrente ya lo hizo, no se
+    // repite (ni la alarma ni la notificación)
+    if (action === "raise") {
+      try {
+        const alarm = await Alarm.create({
+          deviceId, ruleId: rule._id, name: rule.name, type: rule.type, severity: rule.severity,
+          value: result.value, message: result.message, raisedAt: ctx.at
+        });
+        notifyAlarm("raised", alarm.toObject(), rule).catch(()=>{});
+      } catch (err) {
+        if (err?.code !== 11000) throw err;
+      }
+    }
+    if (action === "clear") {
+      const cleared = await Alarm.findOneAndUpdate(
+        { _id: open._id, state: { $ne: "cleared" } },
+        { state: "cleared", clearedAt: ctx.at },
+        { new: true }
+      ).lean();
+      if (cleared) notifyAlarm("cleared", cleared, rule).catch(()=>{});
+    }
+  }
+}
+
+/* -------------------------- Ingesta de lecturas -------------------------- */
+// Telemetría sin ningún canal del dispositivo: detalle de validación o null
+function channelIssue(keys, body){
+  if (keys.some(k => k in body || k in (body.values || {}))) return null;
+  return [{ in: "body", path: keys[0], message: `se espera al menos un canal: ${keys.join(", ")}` }];
+}
+
+// Un seq repetido es reenvío solo si coincide el arranque (boot) y la fecha
+// es casi la misma; si no, el firmware reinició el contador y la muestra se
+// guarda igual, sin seq.
+const SEQ_RETRY_MS = 10 * 60 * 1000;
+const seqId = (boot, seq)=> `${boot ?? ""}:${seq}`;
+const sameSample = (a, b)=> Math.abs(new Date(a) - new Date(b)) <= SEQ_RETRY_MS;
+
+// Muestras { seq?, boot?, ts } -> { fresh, repeated (dentro de la lista),
+// existing (ya guardadas) }
+async function splitRetries(deviceId, samples){
+  const stored = new Map();
+  const seqs = [...new Set(samples.map(x => x.seq).filter(x => x !== undefined))];
+  for (let i = 0; i < seqs.length; i += 1000) {
+    const found = await Reading.find({ deviceId, seq: { $in: seqs.slice(i, i + 1000) } }).select("seq boot ts").lean();
+    for (const r of found) stored.set(seqId(r.boot, r.seq), r.ts);
+  }
+  const out = { fresh: [], repeated: [], existing: [] };
+  const seen = new Map();
+  let resets = 0;
+  for (const x of samples) {
+    if (x.seq === undefined) { out.fresh.push(x); continue; }
+    const id = seqId(x.boot, x.seq);
+    const prev = stored.get(id), first = seen.get(id);
+    if (first && sameSample(first, x.ts)) out.repeated.push(x);
+    else if (prev && sameSample(prev, x.ts)) out.existing.push(x);
+    else if (prev || first) { resets++; out.fresh.push({ ...x, seq: undefined }); }
+    else { seen.set(id, x.ts); out.fresh.push(x); }
+  }
+  if (resets) {
+    console.warn(`⚠️ ${deviceId}: ${resets} lectura(s) con un seq ya usado en otra fecha; se guardan sin seq (el firmware debería enviar "boot")`);
+  }
+  return out;
+}
+
+// Última lectura con decisión de control (las de subida diferida no la traen)
+function lastDecision(deviceId){
+  return Reading.findOne({ deviceId, backfill: { $ne: true } }).sort({ ts: -1 }).lean();
+}
+
+// Respuesta a un reenvío: la decisión vigente, sin correr el control
+async function duplicateResponse(deviceId){
+  const last = await lastDecision(deviceId);
+  return { status: 200, body: { ok:true, duplicate:true, desired: relayState(last).desired } };
+}
+
+// Campos del programa en curso que avanza cada lectura (lib/program.js)
+const PROGRAM_PROGRESS = ["status", "stepIndex", "stepStartedAt", "stepStartSp", "endedAt"];
+
+// Decisión de control + persistencia de una lectura. Compartida por el push
+// HTTP y la telemetría MQTT. Devuelve { status, body } listo para responder.
+
+async function ingestReading(deviceId, input){
+  const { data: body, details } = check(telemetrySchema, input);
+  if (details) return { status: 400, body: errorBody(400, "Validación fallida", "VALIDATION", details) };
+  const { ts, r1, r2, boot } = body;
+  let { seq } = body;
+  const at = ts ? new Date(ts) : new Date();
+
+  // Reenvío de una lectura ya guardada: no se vuelve a correr el control
+  if (seq !== undefined) {
+    const { fresh } = await splitRetries(deviceId, [{ seq, boot, ts: at }]);
+    if (!fresh.length) return duplicateResponse(deviceId);
+    seq = fresh[0].seq;
+  }
+
+  const cfg = await Config.findOne({ deviceId }) || await Config.create({ deviceId });
+  const channels = channelsOf(cfg);
+  const keys = channels.map(c => c.key);
+  const missing = channelIssue(keys, body);
+  if (missing) return { status: 400, body: errorBody(400, "Validación fallida", "VALIDATION", missing) };
+  // Sensor abierto llega como null/"nan": se guarda null y se marca en falla
+  const sensors = channelValues(channels, body);
+  const rules = cfg.plausibility || {};
+  const history = (await Reading.find({ deviceId }).sort({ ts: -1 })
+    .limit(Math.max(1, (rules.stuckCount || 0) - 1)).lean())
+    .map(r => ({ ...r, ...readingValues(r) }));
+  const last = history[0] || null;
+
+  const faults = checkSensors(sensors, at, history, rules, keys);
+  const valid = Object.fromEntries(keys.filter(k => !faults[k]).map(k => [k, sensors[k]]));
+  const pvOpts = pvOptions(cfg);
+  const pv = computePv(valid, pvOpts);
+
+  const state = await ControlState.findOne({ deviceId }).lean() || {};
+  const stateUpdate = {};
+
+  // SP efectivo (programa rampa/meseta u horario) y avance del programa
+  const eff = effectiveSetpoint(cfg, state, pv, at);
+
+  // PID / autotune: una salida en % común a los relés habilitados,
+  // aplicada como ventanas ON/OFF proporcionales en el tiempo
+  let pidInfo = null, tpOn = null;
+  const tune = state.autotune?.status === "running" ? { ...state.autotune } : null;
+  if (tune && cfg.mode !== "manual") {
+    tune.samples = [...(tune.samples || []), { t: at, pv }];
+    const tp = timeProportional(state.pid, tune.step, cfg.pid.cycle, at);
+    tpOn = tp.on;
+    pidInfo = { output: tune.step, duty: tp.duty, windowStart: tp.windowStart };
+    stateUpdate.pid = { ...state.pid, ...pidInfo };
+    const end = autotuneEnd(tune, at);
+    if (end) Object.assign(tune, end, { endedAt: at });
+    stateUpdate.autotune = tune;
+  } else if (cfg.mode === "pid") {
+    const step = pidStep(state.pid, cfg.pid, eff.sp, pv, at);
+    const tp = timeProportional(state.pid, eff.heat ? step.output : 0, cfg.pid.cycle, at);
+    tpOn = tp.on;
+    pidInfo = { output: step.output, duty: tp.duty, windowStart: tp.windowStart };
+    stateUpdate.pid = { ...step.state, ...pidInfo };
+  }
+
+  // Cada relé decide con su propio lazo (SP/H/sensores)
+  const decision = {}, loops = {};
+  const prev = last?.backfill ? await lastDecision(deviceId) : last;
+  const wasOn = { r1: !!prev?.desiredR1, r2: !!prev?.desiredR2 };
+  for (const relay of RELAYS) {
+    const loop = resolveLoop(cfg, relay, eff.sp);
+    const loopPv = computePv(valid, { ...pvOpts, sensors: loop.sensors });
+    let on = wasOn[relay];
+    if (cfg.mode === "manual") on = !!cfg.manual?.[relay];
+    else if (!loop.enabled) on = false;
+    else if (tpOn !== null) on = tpOn;
+    else if (!eff.heat) on = false;
+    else on = hysteresis(wasOn[relay], loopPv, loop.sp, loop.h);
+    decision[relay] = on;
+    loops[relay] = { enabled: loop.enabled, sp: loop.sp, h: loop.h, pv: loopPv };
+  }
+
+  // Enclavamientos de seguridad (también aplican en modo manual y autotune)
+  const tripped = await Interlock.find({ deviceId, active: true, type: { $in: LATCHING } }).lean();
+  const validVals = channels.filter(c => isTemperature(c) && c.key in valid).map(c => valid[c.key]);
+  const { desired, trips, inhibits } = evaluateSafety({
+    safety: cfg.safety || {}, state, wasOn, desired: decision, latched: tripped.length > 0,
+    maxTemp: validVals.length ? Math.max(...validVals) : NaN, at
+  });
+  const desiredR1 = desired.r1, desiredR2 = desired.r2;
+
+  // Estado físico reportado por el firmware (opcional)
+  const actual = {};
+  if (typeof r1 === "boolean") actual.r1 = r1;
+  if (typeof r2 === "boolean") actual.r2 = r2;
+
+  // La lectura se guarda antes de tocar el estado de control: si un reenvío
+  // concurrente ya ganó el seq, el índice único lo frena y nada avanza
+  let reading;
+  try {
+    reading = await Reading.create({
+      deviceId, values: sensors, pv, sp: eff.sp,
+      desiredR1, desiredR2,
+      ...actual,
+      faults,
+      ...(seq !== undefined ? { seq, boot } : {}),
+      ts: at
+    });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    return duplicateResponse(deviceId);
+  }
+
+  // Registrar solo disparos nuevos (el mismo tipo/relé ya enclavado no se repite)
+  for (const t of trips) {
+    if (tripped.some(x => x.type === t.type && (x.relay || null) === (t.relay || null))) continue;
+    await Interlock.create({ deviceId, ...t, trippedAt: at });
+  }
+  await ControlState.updateOne({ deviceId }, {
+    ...stateUpdate,
+    ...nextRelayTimes(state, wasOn, desired, at),
+    inhibits,
+    ...(Number.isFinite(pv) ? { lastValidAt: at } : {})
+  }, { upsert: true });
+  // Avance del programa: solo los campos que cambiaron, y solo si sigue como
+  // se leyó (una pausa, reanudación o aborto concurrente no se pisa)
+  if (eff.run) {
+    const prog = state.program;
+    const changed = PROGRAM_PROGRESS.filter(k => JSON.stringify(eff.run[k]) !== JSON.stringify(prog[k]));
+    if (changed.length) {
+      await ControlState.updateOne({
+        deviceId, "program.status": prog.status, "program.startedAt": prog.startedAt,
+        "program.stepIndex": prog.stepIndex, "program.stepStartedAt": prog.stepStartedAt
+      }, { $set: Object.fromEntries(changed.map(k => [`program.${k}`, eff.run[k]])) });
+    }
+  }
+
+  // Confirmar comandos cuyo estado ya se refleja en el relé físico
+  const now = new Date();
+  for (const [relay, state] of Object.entries(actual)) {
+    await Command.updateMany(
+      { deviceId, relay, state, status: { $in: ["pending","sent"] } },
+      { status: "acked", ackedAt: now }
+    );
+  }
+
+  // Entregar comandos pendientes al firmware
+  const queued = await Command.find({ deviceId, status: "pending" }).sort({ createdAt: 1 }).lean();
+  if (queued.length) {
+    await Command.updateMany(
+      { _id: { $in: queued.map(c=>c._id) } },
+      { status: "sent", sentAt: now }
+    );
+  }
+
+  const interlocks = await activeInterlocks(deviceId);
+  const response = {
+    ok:true,
+    desired:{ r1:desiredR1, r2:desiredR2 },
+    pv, sp: cfg.sp, h: cfg.h, mode: cfg.mode, loops, faults,
+    spEffective: eff.sp, spSource: eff.source,
+    ...(eff.run ? { program: programView(eff.run, at) } : {}),
+    ...(pidInfo ? { pid: { output: pidInfo.output, duty: pidInfo.duty } } : {}),
+    ...(tune ? { autotune: { status: tune.status } } : {}),
+    interlocks,
+    commands: queued.map(c=>({ id: c._id, relay: c.relay, state: c.state })),
+    readingId: reading._id
+  };
+
+  // Canal en vivo (solo si hay alguien escuchando)
+  if (subscriberCount(deviceId)) {
+    thermoStatus(cfg.toObject({ flattenMaps: true }), reading.toObject({ flattenMaps: true }))
+      .then(snap => publish(deviceId, "reading", snap, at.getTime()))
+      .catch(err => console.error("live publish:", err?.message || err));
+  }
+
+  // Alarmas en segundo plano: no demoran al firmware
+  const { mismatch } = relayState(reading.toObject());
+  processAlarms(deviceId, {
+    at, values: { ...valid, pv }, mismatch, faults, interlocks, lastSeen: at
+  }).catch(err => console.error("processAlarms:", err?.message || err));
+
+  return { status: 200, body: response };
+}
+
+// Guarda lecturas históricas (subida diferida) en orden, sin control: no
+// llevan estado deseado (solo r1/r2 si el equipo los reportó), y PV/fallas
+// se calculan igual que en vivo contra las muestras previas.
+async function storeBackfill(deviceId, cfg, samples){
+  if (!samples.length) return 0;
+  const rules = cfg.plausibility || {};
+  const keep = Math.max(1, (rules.stuckCount || 0) - 1);
+  const first = new Date(samples[0].ts);
+  const history = (await Reading.find({ deviceId, ts: { $lt: first } }).sort({ ts: -1 }).limit(keep).lean())
+    .map(r => ({ ...r, ...readingValues(r) }));
+  const channels = channelsOf(cfg);
+  const keys = channels.map(c => c.key);
+  const pvOpts = pvOptions(cfg);
+
+  const docs = [];
+  for (const s of samples) {
+    const at = new Date(s.ts);
+    const sensors = channelValues(channels, s);
+    const faults = checkSensors(sensors, at, history, rules, keys);
+    const valid = Object.fromEntries(keys.filter(k => !faults[k]).map(k => [k, sensors[k]]));
+    const doc = {
+      deviceId, seq: s.seq, boot: s.seq !== undefined ? s.boot : undefined,
+      values: sensors, pv: computePv(valid, pvOpts),
+      faults, backfill: true, ts: at
+    };
+    if (typeof s.r1 === "boolean") doc.r1 = s.r1;
+    if (typeof s.r2 === "boolean") doc.r2 = s.r2;
+    docs.push(doc);
+    history.unshift({ ts: at, ...sensors });
+    history.length = Math.min(history.length, keep);
+  }
+  // Datos anteriores a la marca de agua: los rollups se rehacen desde ahí
+  const from = floorTo(first, ROLLUP_RES.minute * 1000);
+  await ControlState.updateOne(
+    { deviceId, "rollup.minuteUntil": { $gt: from } },
+    { $set: { "rollup.minuteUntil": from, "rollup.hourUntil": floorTo(from, ROLLUP_RES.hour * 1000) } }
+  );
+
+  // ordered:false -> si otra subida ganó la carrera por un seq, el resto igual se guarda
+  try {
+    const r = await Reading.insertMany(docs, { ordered: false });
+    return r.length;
+  } catch (err) {
+    if (err?.code !== 11000 && !err?.writeErrors) throw err;
+    return err.insertedDocs?.length ?? (docs.length - (err.writeErrors?.length || 0));
+  }
+}
+
+/* ------------------------- Rollups y retención ------------------------- */
+const laterOf = (a, b)=> a && b ? new Date(Math.max(a, b)) : a;
+
+// Agrega lecturas crudas en rollups por minuto y éstos en rollups por hora
+// (idempotente: $merge reemplaza el intervalo), y luego borra lo vencido
+// según la retención del dispositivo. Nunca borra datos que todavía no
+// quedaron cubiertos por el rollup del nivel siguiente, ni rehace un
+// intervalo cuya fuente ya se borró (lo reemplazaría por uno incompleto).
+async function compactDevice(deviceId, now = new Date()){
+  const cfg = await Config.findOne({ deviceId }).lean();
+  const ret = { rawDays: 0, minuteDays: 0, hourDays: 0, ...(cfg?.retention || {}) };
+  // s1..s4 siempre: datos anteriores a un cambio de canales no se pierden
+  const keys = [...new Set([...channelsOf(cfg).map(c => c.key), ...LEGACY_KEYS])];
+  const state = await ControlState.findOne({ deviceId }).lean();
+  const minMs = ROLLUP_RES.minute * 1000, hourMs = ROLLUP_RES.hour * 1000;
+  const into = {
+    $merge: { into: ReadingRollup.collection.name, on: ["deviceId", "res", "t"], whenMatched: "replace" }
+  };
+
+  // Minuto: desde la marca de agua (o la lectura más vieja) hasta el minuto actual
+  const oldest = await Reading.findOne({ deviceId }).sort({ ts: 1 }).lean();
+  const { rawCut, minuteCut } = state?.rollup || {};
+  const minuteFrom = laterOf(state?.rollup?.minuteUntil || (oldest ? floorTo(oldest.ts, minMs) : null), rawCut);
+  const minuteUntil = floorTo(now, minMs);
+  if (minuteFrom && minuteFrom < minuteUntil) {
+    await Reading.aggregate([
+      ...rawSampleStages(deviceId, minuteFrom, minuteUntil),
+      ...rawGroupStages(minMs, keys),
+      { $set: { deviceId, res: "minute" } },
+      into
+    ]).allowDiskUse(true);
+  }
+
+  // Hora: a partir de los rollups por minuto ya cerrados
+  const hourFrom = laterOf(state?.rollup?.hourUntil || (minuteFrom ? floorTo(minuteFrom, hourMs) : null), minuteCut);
+  const hourUntil = floorTo(minuteUntil, hourMs);
+  if (hourFrom && hourFrom < hourUntil) {
+    await ReadingRollup.aggregate([
+      { $match: { deviceId, res: "minute", t: { $gte: hourFrom, $lt: hourUntil } } },
+      ...rollupGroupStages(hourMs, keys),
+      { $set: { deviceId, res: "hour" } },
+      into
+    ]).allowDiskUse(true);
+  }
+
+  await ControlState.updateOne({ deviceId }, {
+    $set: { "rollup.minuteUntil": minuteUntil, "rollup.hourUntil": hourUntil, "rollup.lastRunAt": now }
+  }, { upsert: true });
+
+  // Retención: cada nivel solo se borra si el siguiente ya lo cubre, en
+  // intervalos enteros, y el corte queda anotado para no rehacerlos
+  const ago = (days)=> new Date(now.getTime() - days * 86400000);
+  const deleted = { raw: 0, minute: 0, hour: 0 };
+  if (ret.rawDays > 0) {
+    const cut = floorTo(Math.min(ago(ret.rawDays), minuteUntil), minMs);
+    deleted.raw = (await Reading.deleteMany({ deviceId, ts: { $lt: cut } })).deletedCount;
+    await ControlState.updateOne({ deviceId }, { $max: { "rollup.rawCut": cut } });
+  }
+  if (ret.minuteDays > 0) {
+    const cut = floorTo(Math.min(ago(ret.minuteDays), hourUntil), hourMs);
+    deleted.minute = (await ReadingRollup.deleteMany({ deviceId, res: "minute", t: { $lt: cut } })).deletedCount;
+    await ControlState.updateOne({ deviceId }, { $max: { "rollup.minuteCut": cut } });
+  }
+  if (ret.hourDays > 0) {
+    deleted.hour = (await ReadingRollup.deleteMany({ deviceId, res: "hour", t: { $lt: ago(ret.hourDays) } })).deletedCount;
+  }
+  return { deviceId, minuteUntil, hourUntil, deleted };
+}
+
+// Desde cuándo se conservan los datos de los que salen los rollups: lo
+// anterior ya no se puede reagregar ni deduplicar (null = todo)
+async function retentionHorizon(deviceId){
+  const { rawCut, minuteCut } = (await ControlState.findOne({ deviceId }).lean())?.rollup || {};
+  return laterOf(rawCut, minuteCut) || minuteCut || null;
+}
+
+async function compactAll(){
+  const out = [];
+  for (const deviceId of await Config.distinct("deviceId")) out.push(await compactDevice(deviceId));
+  return out;
+}
+
+/* ------------------------- Esquemas de validación ------------------------- */
+// Tipos y rangos de cada body / query (lib/validate.js). Los valores que se
+// aceptan pero se acotan (SP, H, PID, ...) se ajustan aquí con transform.
+const channelKey = z.string().regex(CHANNEL_KEY, "clave de canal: letra inicial, letras, números o _ (máx. 16)");
+const sensorList = z.array(channelKey).transform(l => [...new Set(l)]);
+const clamped = (min, max, base = z.number())=> base.transform(v => clamp(v, min, max));
+const spValue = clamped(-1000, 2000);
+const hValue = clamped(0.1, 500, z.number().positive());
+const nonNeg = z.number().min(0);
+const byDevice = z.object({ deviceId: zDeviceId });
+const range = { from: zDate.optional(), to: zDate.optional() };
+
+// Telemetría (HTTP y MQTT): campos extra del firmware se conservan.
+// Canales sueltos por clave (s1: 20.5) o agrupados en `values`: número, o
+// null / "nan" si el sensor está abierto. Que traiga al menos un canal del
+// dispositivo se revisa al ingerir (channelIssue).
+const sensorValue = z.union([z.number(), z.string(), z.null()]);
+// Id de arranque (aleatorio o contador de reinicios): acota el dedupe por seq
+const zBoot = z.union([z.string().trim().min(1).max(64), z.number().int()]).transform(String);
+const telemetrySchema = z.looseObject({
+  seq: z.number().int().min(0, "seq entero >= 0").optional(),
+  boot: zBoot.optional(),
+  ts: z.union([z.string(), z.number()])
+    .refine(v => !Number.isNaN(new Date(v).getTime()), "ts inválido").optional(),
+  values: z.record(channelKey, sensorValue).optional()
+});
+
+// Canales de medición del dispositivo (se reemplaza la lista completa)
+const sensorChannel = z.object({
+  key: channelKey.refine(k => !RESERVED_KEYS.includes(k), "clave reservada"),
+  label: z.string().trim().max(40).optional(),
+  unit: z.string().trim().max(12).default("°C"),
+  type: z.enum(SENSOR_TYPES).default("thermocouple"),
+  offset: z.number().default(0),
+  gain: z.number().refine(g => g !== 0, "gain no puede ser 0").default(1),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/, "color #rrggbb").optional()
+});
+const channelList = z.array(sensorChannel).min(1).max(MAX_CHANNELS)
+  .refine(list => new Set(list.map(c => c.key)).size === list.length, "claves de canal repetidas");
+
+const credentialsBody = z.object({ email: z.string().trim().min(1), password: z.string().min(1) });
+const refreshBody = z.object({ refreshToken: z.string().min(1) });
+const logoutBody = z.object({ refreshToken: z.string().optional() });
+const password = z.string().min(8, "mínimo 8 caracteres");
+const passwordBody = z.object({ current: z.string().default(""), password });
+
+const userFields = {
+  email: z.string().trim().regex(/^[^@\s]+@[^@\s]+$/, "email inválido"),
+  password,
+  name: z.string(),
+  role: z.enum(ROLES),
+  enabled: z.boolean(),
+  devices: z.array(z.string()).transform(strList),
+  groups: z.array(z.string()).transform(strList)
+};
+const userCreateBody = z.object(userFields).partial().required({ email: true, password: true })
+  .extend({ role: userFields.role.default("viewer") });
+const userPatchBody = z.object(userFields).partial();
+
+const deviceCreateBody = z.object({
+  deviceId: z.string().regex(/^[\w.-]{1,64}$/, "deviceId: letras, números, . _ -"),
+  name: z.string().optional(),
+  group: z.string().trim().optional()
+});
+const devicePatchBody = z.object({ name: z.string(), group: z.string().trim(), enabled: z.boolean() }).partial();
+const rotateBody = z.object({ graceSeconds: nonNeg.default(86400) });
+
+const loopPatch = z.object({ enabled: z.boolean(), sp: spValue, h: hValue, sensors: sensorList }).partial();
+const configPatchBody = z.object({
+  sp: spValue,
+  h: hValue,
+  mode: z.enum(MODES),
+  channels: channelList,
+  loops: z.object(Object.fromEntries(RELAYS.map(r => [r, loopPatch]))).partial(),
+  pv: z.object({
+    strategy: z.enum(PV_STRATEGIES),
+    sensors: sensorList,
+    weights: z.record(channelKey, nonNeg)
+  }).partial(),
+  plausibility: z.object({
+    min: z.number(), max: z.number(), maxRate: nonNeg,
+    stuckCount: clamped(0, 100, nonNeg.transform(Math.round)), stuckEpsilon: nonNeg
+  }).partial(),
+  safety: z.object({ maxTemp: nonNeg, maxOnTime: nonNeg, minOffTime: nonNeg, staleTimeout: nonNeg }).partial(),
+  pid: z.object({
+    kp: nonNeg, ki: nonNeg, kd: nonNeg, outMin: clamped(0, 100), outMax: clamped(0, 100),
+    cycle: clamped(1, 3600, z.number().positive())
+  }).partial(),
+  schedule: z.object({
+    enabled: z.boolean(),
+    timezone: z.string().refine(validTimeZone, "zona horaria inválida"),
+    entries: z.array(z.object({
+      days: z.array(z.number().int().min(0).max(6)).default([]).transform(d => [...new Set(d)]),
+      time: z.string().refine(t => parseHHMM(t) !== null, "time HH:MM"),
+      sp: spValue
+    }))
+  }).partial(),
+  retention: z.object(Object.fromEntries(
+    ["rawDays", "minuteDays", "hourDays"].map(k => [k, nonNeg.transform(Math.round)])
+  )).partial(),
+  energy: z.object({
+    powerR1: nonNeg, powerR2: nonNeg, massKg: nonNeg, cp: nonNeg, tMin: clamped(-50, 2000), tMax: clamped(-50, 2000)
+  }).partial()
+}).partial();
+
+const relaysBody = z.object(Object.fromEntries(RELAYS.map(r => [r, z.boolean().optional()])))
+  .refine(b => RELAYS.some(r => r in b), "r1/r2 booleanos");
+const autotuneBody = z.object({
+  step: z.number().positive().default(100),
+  rise: z.number().positive().default(10),
+  maxDuration: z.number().positive().default(7200)
+});
+const interlockResetBody = z.object({ type: z.enum(LATCHING).optional() });
+
+// Pasos de perfil rampa / meseta / enfriamiento
+const stepSchema = z.discriminatedUnion("type", [
+  z.object({ type: z.literal("ramp"), target: spValue, rate: z.number().positive() }),
+  z.object({ type: z.literal("soak"), duration: z.number().positive() }),
+  z.object({ type: z.literal("cool"), target: z.number().optional(), duration: z.number().positive().optional() })
+]);
+const profileBody = z.object({ deviceId: zDeviceId, name: z.string().min(1), steps: z.array(stepSchema).min(1) });
+const profilePatchBody = profileBody.omit({ deviceId: true }).partial();
+const programStartBody = z.object({ profileId: zObjectId });
+
+const alarmRuleFields = z.object({
+  name: z.string().min(1),
+  type: z.enum(ALARM_TYPES),
+  source: channelKey,
+  threshold: z.number(),
+  deadband: nonNeg,
+  delayOn: nonNeg,
+  offlineTimeout: z.number().positive(),
+  severity: z.enum(SEVERITIES),
+  enabled: z.boolean(),
+  channels: z.array(zObjectId)
+}).partial();
+const alarmRuleBody = alarmRuleFields.required({ name: true, type: true }).extend({ deviceId: zDeviceId })
+  .refine(r => !["high","low"].includes(r.type) || r.threshold !== undefined,
+    { message: "threshold requerido", path: ["threshold"] })
+  .refine(r => r.type !== "offline" || r.offlineTimeout !== undefined,
+    { message: "offlineTimeout requerido", path: ["offlineTimeout"] });
+
+const channelFields = {
+  name: z.string().min(1),
+  type: z.enum(CHANNEL_TYPES),
+  enabled: z.boolean(),
+  config: z.record(z.string(), z.unknown())
+};
+const channelBody = z.object(channelFields).extend({
+  enabled: channelFields.enabled.default(true),
+  config: channelFields.config.default({})
+});
+const channelPatchBody = z.object(channelFields).omit({ type: true }).partial();
+
+// Lote offline: cada lectura se valida por separado (las inválidas se informan)
+const batchBody = z.object({ readings: z.array(z.unknown()).min(1, "readings[] requerido") });
+const batchItem = telemetrySchema.and(z.object({
+  seq: z.number().int().min(0, "seq entero >= 0"),
+  ts: z.union([z.string(), z.number()])
+}));
+
+const compactBody = z.object({ deviceId: zDeviceId.optional() });
+
+// Fila importada (log de la SD): canales como en la telemetría, ts
+// obligatorio (epoch, ISO o fecha local) y seq opcional
+const importItem = z.looseObject({
+  seq: z.number().int().min(0, "seq entero >= 0").nullish(),
+  boot: zBoot.nullish(),
+  ts: z.union([z.string(), z.number()], { error: "ts requerido" }),
+  r1: z.boolean().nullish(),
+  r2: z.boolean().nullish(),
+  values: z.record(channelKey, sensorValue).optional()
+});
+
+const commandsQuery = byDevice.extend({
+  status: z.enum(["pending", "sent", "acked", "cancelled"]).optional(),
+  limit: zLimit(100, 1000)
+});
+const interlocksQuery = byDevice.extend({ active: zFlag.optional(), limit: zLimit(100, 1000) });
+const alarmsQuery = z.object({
+  deviceId: zDeviceId.optional(),
+  state: z.enum(["open", "active", "acknowledged", "cleared"]).optional(),
+  limit: zLimit(200, 1000)
+});
+const auditQuery = z.object({
+  deviceId: zDeviceId.optional(),
+  action: z.string().optional(),
+  actor: z.string().optional(),
+  ...range,
+  limit: zLimit(200, 5000)
+});
+const readingsQuery = byDevice.extend({ ...range, limit: zLimit(1000, 100000) });
+const csvQuery = byDevice.extend({ ...range, limit: zLimit(100000, 1000000) });
+// Exportación en streaming: ?format&columns=ts,s1,pv&tz&resample=<s>&delimiter
+const exportQuery = z.object({
+  ...range,
+  format: z.enum(EXPORT_FORMATS).default("csv"),
+  columns: z.string().transform(s => strList(s.split(","))).optional(),
+  tz: z.string().refine(validTimeZone, "zona horaria inválida").default("UTC"),
+  resample: z.coerce.number().int().min(1, "resample inválido").optional(),
+  delimiter: z.enum(Object.keys(DELIMITERS)).default("comma"),
+  limit: zLimit(10000000, 10000000)
+});
+// Importación: formato por Content-Type o ?format; fechas sin zona en ?tz
+const importQuery = z.object({
+  format: z.enum(IMPORT_FORMATS).optional(),
+  tz: z.string().refine(validTimeZone, "zona horaria inválida").default("UTC"),
+  dryRun: zFlag.default(false)
+});
+const historyQuery = byDevice.extend({
+  ...range,
+  bucket: z.union([z.literal("auto"), z.coerce.number().int().min(1, "bucket inválido")]).default("auto"),
+  points: z.coerce.number().int().default(500).transform(n => clamp(n, 10, 5000))
+});
+const tzQuery = z.string().refine(validTimeZone, "tz inválida").optional();
+const energyQuery = z.object({ tz: tzQuery });
+const energyTotalsQuery = z.object({ period: z.enum(PERIODS).default("day"), tz: tzQuery, ...range });
+const liveQuery = z.object({ since: z.coerce.number().optional(), ticket: z.string().optional() });
+
+/* ------------------------------- Rutas API ------------------------------- */
+// Seed admin: solo mientras no exista ningún admin (instalación nueva)
+app.post("/api/seed/admin", limitLogin, validate({ body: credentialsBody }), async (req,res)=>{
+  const disabled = ()=> fail(res, 403, "seed disabled: an admin already exists");
+  if (await User.exists({ role: "admin" })) return disabled();
+  const { email, password } = req.body;
+  if (await User.exists({ email })) return fail(res, 409, "user exists");
+  // La marca única hace atómico el seed: de dos llamadas concurrentes solo
+  // una crea el admin (si el alta falla, se libera)
+  try {
+    await Setup.create({ _id: "admin" });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    return disabled();
+  }
+  try {
+    const passwordHash = await bcrypt.hash(password, 10);
+    await User.create({ email, passwordHash, role: "admin" });
+  } catch (err) {
+    await Setup.deleteOne({ _id: "admin" });
+    throw err;
+  }
+  await recordAudit(req, "user.create", { actor: email, summary: `${email} (admin, seed)`, meta: { email, role: "admin" } });
+  res.json({ ok:true });
+});
+
+// Auth usuarios
+app.post("/api/auth/login", limitLogin, validate({ body: credentialsBody }), limitLoginAccount, async (req,res)=>{
+  const { email, password } = req.body;
+  const u = await User.findOne({ email });
+  const ok = !!u?.enabled && await bcrypt.compare(password, u.passwordHash);
+  if (!ok) {
+    const reason = !u ? "unknown user" : !u.enabled ? "disabled" : "bad password";
+    await recordAudit(req, "auth.login.failed", { actor: email, meta: { reason } });
+    return fail(res, 401, "Bad creds");
+  }
+  loginAccountLimiter.reset(accountKey(req));
+  const tokens = await openSession(req, u);
+  await recordAudit(req, "auth.login", { actor: u.email, meta: { role: u.role } });
+  res.json(tokens);
+});
+
+// Renovación: entrega un access token nuevo y rota el refresh token.
+// Presentar un refresh token ya rotado revoca la sesión (posible robo),
+// salvo en los primeros segundos tras la rotación (pestañas en paralelo).
+app.post("/api/auth/refresh", validate({ body: refreshBody }), async (req,res)=>{
+  const { refreshToken } = req.body;
+  const h = hashToken(refreshToken);
+  const now = new Date();
+  const session = await Session.findOne({ tokenHash: h });
+  if (!session) {
+    const old = await Session.findOne({ prevTokenHash: h, revokedAt: null });
+    if (old && now - old.rotatedAt > 30000) {
+      old.revokedAt = now;
+      await old.save();
+      await recordAudit(req, "auth.refresh.reuse", { actor: String(old.userId), meta: { sessionId: old._id } });
+    }
+    return fail(res, 401, "Invalid refresh token");
+  }
+  if (session.revokedAt || session.expiresAt <= now) return fail(res, 401, "Invalid refresh token");
+  const u = await User.findById(session.userId).lean();
+  if (!u?.enabled) return fail(res, 401, "Invalid refresh token");
+
+  const next = generateToken();
+  session.prevTokenHash = session.tokenHash;
+  session.tokenHash = hashToken(next);
+  session.rotatedAt = now;
+  session.ip = req.ip;
+  await session.save();
+  res.json(sessionTokens(u, session, next));
+});
+
+// Cierre de sesión: la del refresh token y/o la del access token
+app.post("/api/auth/logout", validate({ body: logoutBody }), async (req,res)=>{
+  const { refreshToken } = req.body;
+  const h = req.header("authorization") || "";
+  let sid = null;
+  try { sid = h.startsWith("Bearer ") ? verifyJWT(h.slice(7)).sid : null; } catch { /* token vencido */ }
+  const or = [];
+  if (refreshToken) or.push({ tokenHash: hashToken(refreshToken) });
+  if (mongoose.isValidObjectId(sid)) or.push({ _id: sid });
+  if (!or.length) return fail(res, 400, "refreshToken");
+  const s = await Session.findOneAndUpdate({ $or: or, revokedAt: null }, { revokedAt: new Date() });
+  if (s) {
+    closeStreams(x => x.sid === String(s._id));
+    await recordAudit(req, "auth.logout", { actor: String(s.userId), meta: { sessionId: s._id } });
+  }
+  res.json({ ok:true });
+});
+
+// Cierra todas las sesiones del usuario (también los access tokens vigentes)
+app.post("/api/auth/logout-all", userAuth, async (req,res)=>{
+  await revokeUserSessions(req.user.uid);
+  await recordAudit(req, "auth.logout.all");
+  res.json({ ok:true });
+});
+
+// Sesiones abiertas del usuario actual
+app.get("/api/auth/sessions", userAuth, async (req,res)=>{
+  const list = await Session.find({ userId: req.user.uid, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ updatedAt: -1 }).lean();
+  res.json(list.map(s => ({
+    id: s._id, createdAt: s.createdAt, lastUsedAt: s.rotatedAt || s.createdAt, expiresAt: s.expiresAt,
+    ip: s.ip, userAgent: s.userAgent, current: String(s._id) === req.user.sid
+  })));
+});
+
+app.delete("/api/auth/sessions/:id", userAuth, async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No session");
+  const s = await Session.findOneAndUpdate(
+    { _id: req.params.id, userId: req.user.uid, revokedAt: null }, { revokedAt: new Date() }
+  );
+  if (!s) return fail(res, 404, "No session");
+  closeStreams(x => x.sid === String(s._id));
+  await recordAudit(req, "auth.logout", { meta: { sessionId: s._id } });
+  res.json({ ok:true });
+});
+
+// Usuario actual y dispositivos a los que tiene acceso
+app.get("/api/auth/me", userAuth, async (req,res)=>{
+  const u = await User.findById(req.user.uid).lean();
+  const ids = await allowedDevices(req);
+  res.json({ ...userView(u), access: ids === null ? "all" : ids });
+});
+
+// Cambio de la propia contraseña. Body: { current, password }
+app.post("/api/auth/password", userAuth, validate({ body: passwordBody }), async (req,res)=>{
+  const { current, password } = req.body;
+  const u = await User.findById(req.user.uid);
+  if (!(await bcrypt.compare(current, u.passwordHash))) return fail(res, 401, "Bad creds");
+  u.passwordHash = await bcrypt.hash(password, 10);
+  u.passwordChangedAt = new Date();
+  await u.save();
+  await revokeUserSessions(u._id);
+  await recordAudit(req, "auth.password");
+  // Todas las sesiones quedan cerradas: se abre una nueva para quien la cambió
+  res.json({ ok:true, ...await openSession(req, await User.findById(u._id).lean()) });
+});
+
+// Usuarios (admin)
+app.get("/api/users", userAuth, requireRole("admin"), async (req,res)=>{
+  const list = await User.find().sort({ email: 1 }).lean();
+  res.json(list.map(userView));
+});
+
+app.post("/api/users", userAuth, requireRole("admin"), validate({ body: userCreateBody }), async (req,res)=>{
+  const clean = req.body;
+  if (await User.exists({ email: clean.email })) return fail(res, 409, "user exists");
+  const { password, ...fields } = clean;
+  const u = await User.create({ ...fields, passwordHash: await bcrypt.hash(password, 10) });
+  await recordAudit(req, "user.create", {
+    summary: `${u.email} (${u.role})`, meta: { userId: u._id, email: u.email, role: u.role, devices: u.devices, groups: u.groups }
+  });
+  res.status(201).json(userView(u.toObject()));
+});
+
+app.patch("/api/users/:id", userAuth, requireRole("admin"), validate({ body: userPatchBody }), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No user");
+  const clean = req.body;
+  const self = req.params.id === req.user.uid;
+  if (self && (clean.enabled === false || (clean.role && clean.role !== "admin"))) {
+    return fail(res, 409, "no puedes deshabilitar ni degradar tu propio usuario");
+  }
+  const { password, ...patch } = clean;
+  if (password) {
+    patch.passwordHash = await bcrypt.hash(password, 10);
+    patch.passwordChangedAt = new Date();
+  }
+  if (patch.email && await User.exists({ email: patch.email, _id: { $ne: req.params.id } })) {
+    return fail(res, 409, "user exists");
+  }
+  const prev = await User.findById(req.params.id).lean();
+  if (!prev) return fail(res, 404, "No user");
+  const u = await User.findByIdAndUpdate(req.params.id, patch, { new: true }).lean();
+  // Deshabilitado o contraseña reseteada: fuera de todas sus sesiones
+  if (password || (prev.enabled && !u.enabled)) await revokeUserSessions(u._id);
+  // Otro rol o dispositivos: los streams abiertos se reconectan con los nuevos permisos
+  else if (["role", "devices", "groups"].some(k => k in patch)) closeStreams(x => x.uid === String(u._id));
+  const changes = diffPaths(prev, u, Object.keys(patch).filter(k => !k.startsWith("password")));
+  await recordAudit(req, "user.update", {
+    changes, summary: `${u.email}: ${[summarize(changes), password && "password"].filter(Boolean).join(", ")}`,
+    meta: { userId: u._id, email: u.email, passwordReset: !!password }
+  });
+  res.json(userView(u));
+});
+
+// Cierre forzado de todas las sesiones de un usuario (admin)
+app.post("/api/users/:id/revoke", userAuth, requireRole("admin"), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No user");
+  const u = await User.findById(req.params.id).lean();
+  if (!u) return fail(res, 404, "No user");
+  await revokeUserSessions(u._id);
+  await recordAudit(req, "user.revoke", { summary: u.email, meta: { userId: u._id, email: u.email } });
+  res.json({ ok:true });
+});
+
+app.delete("/api/users/:id", userAuth, requireRole("admin"), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No user");
+  if (req.params.id === req.user.uid) {
+    return fail(res, 409, "no puedes borrar tu propio usuario");
+  }
+  const u = await User.findByIdAndDelete(req.params.id).lean();
+  if (!u) return fail(res, 404, "No user");
+  await Session.updateMany({ userId: u._id, revokedAt: null }, { revokedAt: new Date() });
+  closeStreams(x => x.uid === String(u._id));
+  await recordAudit(req, "user.delete", { summary: u.email, meta: { userId: u._id, email: u.email } });
+  res.json({ ok:true });
+});
+
+// Dispositivos. Alta (admin): el token lo genera el servidor y solo se
+// muestra en esta respuesta (y en cada rotación).
+app.post("/api/devices", userAuth, requireRole("admin"), validate({ body: deviceCreateBody }), async (req,res)=>{
+  const { deviceId, name, group } = req.body;
+  if (await Device.exists({ deviceId })) return fail(res, 409, "device exists");
+  const token = generateToken();
+  const dev = await Device.create({
+    deviceId, name, group, tokenHash: hashToken(token), tokenPrefix: tokenPrefix(token), tokenRotatedAt: new Date()
+  });
+  await recordAudit(req, "device.create", { deviceId, summary: name || deviceId, meta: { name, group } });
+  // Config por defecto (puede existir si el dispositivo se había borrado sin purgar)
+  const cfg = await Config.findOne({ deviceId }) || await Config.create({ deviceId });
+  publishConfig(cfg);
+  res.status(201).json({ ...deviceView(dev.toObject()), token });
+});
+
+app.get("/api/devices", userAuth, async (req,res)=> {
+  const list = await Device.find(await deviceFilter(req)).sort({ deviceId: 1 }).lean();
+  res.json(list.map(deviceView));
+});
+
+app.get("/api/devices/:deviceId", userAuth, deviceAccess(), async (req,res)=>{
+  const dev = await Device.findOne({ deviceId: req.params.deviceId }).lean();
+  if (!dev) return fail(res, 404, "No device");
+  res.json(deviceView(dev));
+});
+
+// Edición (admin). Body: { name?, group?, enabled? }
+app.patch("/api/devices/:deviceId", userAuth, requireRole("admin"), validate({ body: devicePatchBody }), async (req,res)=>{
+  const { deviceId } = req.params;
+  const patch = req.body;
+  const prev = await Device.findOne({ deviceId }).lean();
+  if (!prev) return fail(res, 404, "No device");
+  const dev = await Device.findOneAndUpdate({ deviceId }, patch, { new: true }).lean();
+
+  const changes = diffPaths(prev, dev, ["name", "group"]);
+  if (changes.length) await recordAudit(req, "device.update", { deviceId, changes });
+  if (prev.enabled !== dev.enabled) {
+    await recordAudit(req, dev.enabled ? "device.enable" : "device.disable", {
+      deviceId, changes: [{ path: "enabled", from: prev.enabled, to: dev.enabled }]
+    });
+  }
+  res.json(deviceView(dev));
+});
+
+// Rotación de token (admin). Body: { graceSeconds } (por defecto 24 h, máx. 30 días):
+// el token anterior sigue aceptándose ese tiempo para reprogramar el equipo.
+app.post("/api/devices/:deviceId/rotate", userAuth, requireRole("admin"), validate({ body: rotateBody }), async (req,res)=>{
+  const { deviceId } = req.params;
+  const { graceSeconds } = req.body;
+  const prev = await Device.findOne({ deviceId }).lean();
+  if (!prev) return fail(res, 404, "No device");
+  const now = new Date();
+  const grace = clamp(graceSeconds, 0, 30 * 86400);
+  const token = generateToken();
+  const set = { tokenHash: hashToken(token), tokenPrefix: tokenPrefix(token), tokenRotatedAt: now };
+  const update = grace > 0 && prev.tokenHash
+    ? { $set: { ...set, prevTokenHash: prev.tokenHash, prevTokenExpiresAt: new Date(now.getTime() + grace * 1000) } }
+    : { $set: set, $unset: { prevTokenHash: 1, prevTokenExpiresAt: 1 } };
+  const dev = await Device.findOneAndUpdate({ deviceId }, update, { new: true }).lean();
+  await recordAudit(req, "device.token.rotate", {
+    deviceId, summary: `${prev.tokenPrefix || "—"}… → ${dev.tokenPrefix}… (gracia ${grace}s)`,
+    meta: { graceSeconds: grace, prevTokenExpiresAt: dev.prevTokenExpiresAt || null }
+  });
+  res.json({ ok:true, token, device: deviceView(dev) });
+});
+
+// Baja (admin). ?purge=true borra también lecturas, rollups y estado;
+// sin purge el histórico queda consultable por un admin.
+app.delete("/api/devices/:deviceId", userAuth, requireRole("admin"),
+  validate({ query: z.object({ purge: zFlag.default(false) }) }), async (req,res)=>{
+  const { deviceId } = req.params;
+  const { purge } = req.query;
+  const r = await Device.deleteOne({ deviceId });
+  if (!r.deletedCount) return fail(res, 404, "No device");
+  await Config.deleteOne({ deviceId });
+  // Sin esto el broker seguiría entregando la config vieja a quien se conecte
+  mqttBridge?.clearConfig(deviceId);
+  await Command.updateMany({ deviceId, status: { $in: ["pending","sent"] } }, { status: "cancelled" });
+  if (purge) {
+    await Promise.all([Reading, ReadingRollup, Command, ControlState, Interlock, Profile, AlarmRule, Alarm]
+      .map(m => m.deleteMany({ deviceId })));
+  }
+  await recordAudit(req, "device.delete", { deviceId, meta: { purge } });
+  res.json({ ok:true, purged: purge });
+});
+
+/* --------------------------------- Flota --------------------------------- */
+// Sin push en este tiempo el dispositivo figura fuera de línea
+// (o en safety.staleTimeout si está configurado)
+const OFFLINE_AFTER = Number(process.env.DEVICE_OFFLINE_SECONDS) || 120;
+
+// Resumen de todos los dispositivos visibles en una sola llamada:
+// última lectura, relés, alarmas y enclavamientos abiertos
+app.get("/api/fleet", userAuth, async (req,res)=>{
+  const devices = await Device.find(await deviceFilter(req)).sort({ deviceId: 1 }).lean();
+  const ids = devices.map(d => d.deviceId);
+  const q = { deviceId: { $in: ids } };
+  const [cfgs, lasts, alarms, trips, states] = await Promise.all([
+    Config.find(q).lean(),
+    Reading.aggregate([
+      { $match: q },
+      { $sort: { deviceId: 1, ts: -1 } },
+      { $group: { _id: "$deviceId", last: { $first: "$$ROOT" } } }
+    ]),
+    Alarm.find({ ...q, state: { $in: ["active","acknowledged"] } }).select("deviceId state severity").lean(),
+    Interlock.find({ ...q, active: true }).select("deviceId type").lean(),
+    ControlState.find(q).select("deviceId program.status program.name").lean()
+  ]);
+  const byId = (list, key = "deviceId")=> new Map(list.map(x => [x[key], x]));
+  const cfgOf = byId(cfgs), lastOf = byId(lasts, "_id"), stateOf = byId(states);
+
+  const now = Date.now();
+  res.json({ at: new Date(now), devices: devices.map(d => {
+    const cfg = cfgOf.get(d.deviceId);
+    const last = lastOf.get(d.deviceId)?.last || null;
+    const { desired, actual, mismatch } = relayState(last);
+    const seen = d.lastSeenAt || last?.ts;
+    const offlineAfter = cfg?.safety?.staleTimeout || OFFLINE_AFTER;
+    const open = alarms.filter(a => a.deviceId === d.deviceId);
+    const program = stateOf.get(d.deviceId)?.program;
+    return {
+      deviceId: d.deviceId, name: d.name, group: d.group, enabled: d.enabled, transport: d.transport,
+      lastSeenAt: seen || null,
+      online: !!seen && d.enabled && now - new Date(seen).getTime() <= offlineAfter * 1000,
+      pv: last?.pv ?? null, sp: last?.sp ?? cfg?.sp ?? null, mode: cfg?.mode || null, at: last?.ts || null,
+      relays: desired, actual, mismatch,
+      faults: Object.keys(last?.faults || {}),
+      interlocks: trips.filter(t => t.deviceId === d.deviceId).map(t => t.type),
+      alarms: {
+        active: open.filter(a => a.state === "active").length,
+        acknowledged: open.filter(a => a.state === "acknowledged").length,
+        severity: SEVERITIES.findLast(s => open.some(a => a.severity === s)) || null
+      },
+      program: ["running","paused"].includes(program?.status) ? { name: program.name, status: program.status } : null
+    };
+  }) });
+});
+
+// Status para dashboard (usuarios autenticados)
+app.get("/api/status/:deviceId", userAuth, deviceAccess(), async (req,res)=>{
+  const { deviceId } = req.params;
+  const cfg = await Config.findOne({ deviceId }).lean();
+  if (!cfg) return fail(res, 404, "No config");
+  const last = await Reading.findOne({ deviceId }).sort({ ts: -1 }).lean();
+  const { desired, actual, mismatch } = relayState(last);
+  const pending = await Command.find({ deviceId, status: { $in: ["pending","sent"] } })
+    .sort({ createdAt: 1 }).lean();
+  const state = await ControlState.findOne({ deviceId }).lean();
+  const eff = effectiveSetpoint(cfg, state, last?.pv, new Date());
+  const loops = Object.fromEntries(RELAYS.map(r => [r, resolveLoop(cfg, r, eff.sp)]));
+  res.json({
+    deviceId, sp: cfg.sp, h: cfg.h, mode: cfg.mode, channels: channelsOf(cfg),
+    loops, pvConfig: cfg.pv, plausibility: cfg.plausibility,
+    spEffective: eff.sp, spSource: eff.source, heat: eff.heat, schedule: cfg.schedule,
+    program: programView(eff.run || state?.program),
+    safety: cfg.safety, pidConfig: cfg.pid, pid: pidView(state),
+    faults: last?.faults || {}, interlocks: await activeInterlocks(deviceId), last: readingView(last),
+    alarms: await Alarm.find({ deviceId, state: { $in: ["active","acknowledged"] } }).sort({ raisedAt: -1 }).lean(),
+    relays: desired, actual, mismatch, manual: cfg.manual, pendingCommands: pending
+  });
+});
+
+// Actualizar SP/H/Modo (usuarios)
+app.patch("/api/config/:deviceId", userAuth, deviceAccess("operator"), validate({ body: configPatchBody }), async (req,res)=>{
+  const { deviceId } = req.params;
+  const { sp, h, mode, channels, loops, pv, plausibility, safety, pid, schedule, retention, energy } = req.body;
+  const prev = await Config.findOne({ deviceId }).lean();
+  // Lazos y PV deben apuntar a canales que existan tras el cambio
+  const unknown = unknownChannelRefs({
+    channels: channels || prev?.channels,
+    loops: Object.fromEntries(RELAYS.map(r => [r, { sensors: loops?.[r]?.sensors ?? prev?.loops?.[r]?.sensors }])),
+    pv: { sensors: pv?.sensors ?? prev?.pv?.sensors, weights: pv?.weights }
+  });
+  if (unknown.length) return fail(res, 400, "Validación fallida", "VALIDATION", unknown);
+  const ranges = rangeIssues(prev, req.body);
+  if (ranges.length) return fail(res, 400, "Validación fallida", "VALIDATION", ranges);
+
+  // Secciones parciales por campo (ya validadas y acotadas por configPatchBody):
+  // loops: { r1: { enabled, sp, h, sensors }, r2: {...} }, pv.weights por canal
+  const { weights, ...pvFields } = pv || {};
+  const patch = {
+    ...(sp !== undefined ? { sp } : {}),
+    ...(h !== undefined ? { h } : {}),
+    ...(mode ? { mode } : {}),
+    ...Object.assign({}, ...RELAYS.map(r => dotted(`loops.${r}`, loops?.[r]))),
+    ...dotted("pv", pvFields),
+    ...dotted("pv.weights", weights),
+    ...dotted("plausibility", plausibility),
+    ...dotted("pid", pid),
+    ...dotted("schedule", schedule),
+    ...dotted("energy", energy)
+  };
+  // Límites de seguridad, retención y canales (cambian el significado de las
+  // lecturas): solo admin
+  const adminOnly = {
+    ...dotted("safety", safety),
+    ...dotted("retention", retention),
+    ...(channels ? { channels } : {})
+  };
+  if (Object.keys(adminOnly).length) {
+    if (req.user.role !== "admin") return fail(res, 403, "Forbidden");
+    Object.assign(patch, adminOnly);
+  }
+  if (patch.mode === "manual" && prev?.mode !== "manual") {
+    // Al entrar en manual se congela el último estado deseado (sin saltos)
+    const last = await lastDecision(deviceId);
+    patch.manual = { r1: !!last?.desiredR1, r2: !!last?.desiredR2 };
+  }
+  if (patch.mode === "pid" && prev?.mode !== "pid") {
+    // Arranque limpio del PID (sin integral acumulada de otra sesión)
+    await ControlState.updateOne({ deviceId }, { $unset: { pid: 1 } });
+  }
+  if (patch.mode && patch.mode !== "manual" && prev?.mode === "manual") {
+    await Command.updateMany(
+      { deviceId, status: { $in: ["pending","sent"] } },
+      { status: "cancelled" }
+    );
+  }
+
+  const cfg = await Config.findOneAndUpdate({ deviceId }, patch, { new: true, upsert: true });
+  publishConfig(cfg);
+  const changes = diffPaths(prev || {}, cfg.toObject({ flattenMaps: true }), Object.keys(patch).filter(k => k !== "mode"));
+  if (changes.length) await recordAudit(req, "config.update", { deviceId, changes });
+  if (patch.mode && patch.mode !== prev?.mode) {
+    await recordAudit(req, "mode.change", {
+      deviceId, changes: [{ path: "mode", from: prev?.mode ?? null, to: patch.mode }]
+    });
+  }
+  res.json(cfg);
+});
+
+// Comando manual de relés (usuarios). Body: { r1?: boolean, r2?: boolean }
+app.post("/api/relays/:deviceId", userAuth, deviceAccess("operator"), validate({ body: relaysBody }), async (req,res)=>{
+  const { deviceId } = req.params;
+  const body = req.body;
+  const relays = RELAYS.filter(k => k in body);
+
+  const cfg = await Config.findOne({ deviceId });
+  if (!cfg) return fail(res, 404, "No config");
+  if (cfg.mode !== "manual") return fail(res, 409, "mode must be manual");
+
+  const before = { ...cfg.toObject().manual };
+  const commands = [];
+  for (const relay of relays) {
+    // Un comando nuevo reemplaza a los que aún no se confirmaron para ese relé
+    await Command.updateMany(
+      { deviceId, relay, status: { $in: ["pending","sent"] } },
+      { status: "cancelled" }
+    );
+    commands.push(await Command.create({
+      deviceId, relay, state: body[relay], issuedBy: req.user.email
+    }));
+    cfg.manual[relay] = body[relay];
+  }
+  await cfg.save();
+  publishConfig(cfg);
+  await recordAudit(req, "relay.command", {
+    deviceId, changes: relays.map(r => ({ path: `manual.${r}`, from: !!before[r], to: body[r] }))
+  });
+  res.status(201).json({ ok:true, manual: cfg.manual, commands });
+});
+
+// Historial de comandos
+app.get("/api/commands", userAuth, validate({ query: commandsQuery }), deviceAccess(), async (req,res)=>{
+  const { deviceId, status, limit } = req.query;
+  const q = { deviceId };
+  if (status) q.status = status;
+  const list = await Command.find(q).sort({ createdAt: -1 }).limit(limit).lean();
+  res.json(list);
+});
+
+// Autotune PID por escalón. Body: { step: %, rise: °C, maxDuration: s }
+app.post("/api/pid/:deviceId/autotune", userAuth, deviceAccess("operator"), validate({ body: autotuneBody }), async (req,res)=>{
+  const { deviceId } = req.params;
+  const { step, rise, maxDuration } = req.body;
+  const cfg = await Config.findOne({ deviceId }).lean();
+  if (!cfg) return fail(res, 404, "No config");
+  if (cfg.mode === "manual") return fail(res, 409, "mode must not be manual");
+  const state = await ControlState.findOne({ deviceId }).lean();
+  if (state?.autotune?.status === "running") {
+    return fail(res, 409, "autotune already running");
+  }
+  const autotune = {
+    status: "running", step: clamp(step, 1, 100), rise, maxDuration,
+    startedAt: new Date(), startedBy: req.user.email, samples: []
+  };
+  // Nueva ventana para que el escalón se aplique desde el próximo push
+  await ControlState.updateOne({ deviceId },
+    { $set: { autotune }, $unset: { "pid.windowStart": 1 } }, { upsert: true });
+  await recordAudit(req, "autotune.start", {
+    deviceId, summary: `escalón ${autotune.step}%`, meta: { step: autotune.step, rise, maxDuration }
+  });
+  res.status(201).json({ ok:true, autotune: autotuneView(autotune) });
+});
+
+app.get("/api/pid/:deviceId/autotune", userAuth, deviceAccess(), async (req,res)=>{
+  const { deviceId } = req.params;
+  const state = await ControlState.findOne({ deviceId }).lean();
+  const autotune = autotuneView(state?.autotune);
+  if (!autotune) return fail(res, 404, "No autotune");
+  res.json(autotune);
+});
+
+app.delete("/api/pid/:deviceId/autotune", userAuth, deviceAccess("operator"), async (req,res)=>{
+  const { deviceId } = req.params;
+  const r = await ControlState.updateOne(
+    { deviceId, "autotune.status": "running" },
+    { $set: { "autotune.status": "aborted", "autotune.endedAt": new Date(), "autotune.reason": "aborted" },
+      $unset: { "pid.windowStart": 1 } }
+  );
+  if (!r.modifiedCount) return fail(res, 404, "No autotune running");
+  await recordAudit(req, "autotune.abort", { deviceId });
+  res.json({ ok:true });
+});
+
+// Enclavamientos: activos y/o historial de disparos
+app.get("/api/interlocks", userAuth, validate({ query: interlocksQuery }), deviceAccess(), async (req,res)=>{
+  const { deviceId, active, limit } = req.query;
+  const q = { deviceId };
+  if (active !== undefined) q.active = active;
+  const list = await Interlock.find(q).sort({ trippedAt: -1 }).limit(limit).lean();
+  res.json(list);
+});
+
+// Reset de enclavamientos (admin). Body opcional: { type }
+app.post("/api/interlocks/:deviceId/reset", userAuth, deviceAccess("admin"), validate({ body: interlockResetBody }), async (req,res)=>{
+  const { deviceId } = req.params;
+  const { type } = req.body;
+  const q = { deviceId, active: true };
+  if (type) q.type = type;
+  const r = await Interlock.updateMany(q, {
+    active: false, resetAt: new Date(), resetBy: req.user.email
+  });
+  if (r.modifiedCount) {
+    await recordAudit(req, "interlock.reset", {
+      deviceId, summary: `${type || "todos"} (${r.modifiedCount})`, meta: { type: type || null, reset: r.modifiedCount }
+    });
+  }
+  res.json({ ok:true, reset: r.modifiedCount });
+});
+
+// Perfiles rampa/meseta
+app.get("/api/profiles", userAuth, validate({ query: byDevice }), deviceAccess(), async (req,res)=>{
+  const { deviceId } = req.query;
+  const list = await Profile.find({ deviceId }).sort({ name: 1 }).lean();
+  res.json(list);
+});
+
+app.post("/api/profiles", userAuth, validate({ body: profileBody }), deviceAccess("operator"), async (req,res)=>{
+  const { deviceId, name, steps } = req.body;
+  if (await Profile.exists({ deviceId, name })) {
+    return fail(res, 409, "profile exists");
+  }
+  const profile = await Profile.create({ deviceId, name, steps });
+  res.status(201).json(profile);
+});
+
+app.put("/api/profiles/:id", userAuth, requireRole("operator"), validate({ body: profilePatchBody }), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No profile");
+  const prev = await Profile.findById(req.params.id).lean();
+  if (!prev) return fail(res, 404, "No profile");
+  if (!(await canAccess(req, prev.deviceId))) return fail(res, 403, "Forbidden");
+  const profile = await Profile.findByIdAndUpdate(req.params.id, req.body, { new: true });
+  if (!profile) return fail(res, 404, "No profile");
+  res.json(profile);
+});
+
+app.delete("/api/profiles/:id", userAuth, requireRole("operator"), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No profile");
+  const prev = await Profile.findById(req.params.id).lean();
+  if (!prev) return fail(res, 404, "No profile");
+  if (!(await canAccess(req, prev.deviceId))) return fail(res, 403, "Forbidden");
+  const r = await Profile.deleteOne({ _id: req.params.id });
+  if (!r.deletedCount) return fail(res, 404, "No profile");
+  res.json({ ok:true });
+});
+
+// Programa en curso: start / pause / resume / abort
+app.post("/api/program/:deviceId/start", userAuth, deviceAccess("operator"), validate({ body: programStartBody }), async (req,res)=>{
+  const { deviceId } = req.params;
+  const { profileId } = req.body;
+  const profile = await Profile.findOne({ _id: profileId, deviceId }).lean();
+  if (!profile) return fail(res, 404, "No profile");
+  const cfg = await Config.findOne({ deviceId }).lean();
+  if (!cfg) return fail(res, 404, "No config");
+  const state = await ControlState.findOne({ deviceId }).lean();
+  if (["running","paused"].includes(state?.program?.status)) {
+    return fail(res, 409, "program already active");
+  }
+  // La primera rampa arranca desde el PV actual (o el SP vigente si no hay)
+  const last = await Reading.findOne({ deviceId }).sort({ ts: -1 }).lean();
+  const now = new Date();
+  const startSp = Number.isFinite(last?.pv) ? last.pv : effectiveSetpoint(cfg, null, NaN, now).sp;
+  const program = {
+    profileId: profile._id, name: profile.name, steps: profile.steps,
+    status: "running", stepIndex: 0, stepStartedAt: now, stepStartSp: startSp,
+    startedAt: now, startedBy: req.user.email
+  };
+  await ControlState.updateOne({ deviceId }, { $set: { program } }, { upsert: true });
+  await recordAudit(req, "program.start", { deviceId, summary: profile.name, meta: { profileId: profile._id } });
+  res.status(201).json({ ok:true, program: programView(program, now) });
+});
+
+app.post("/api/program/:deviceId/pause", userAuth, deviceAccess("operator"), async (req,res)=>{
+  const { deviceId } = req.params;
+  const r = await ControlState.updateOne(
+    { deviceId, "program.status": "running" },
+    { $set: { "program.status": "paused", "program.pausedAt": new Date() } }
+  );
+  if (!r.modifiedCount) return fail(res, 409, "program not running");
+  await recordAudit(req, "program.pause", { deviceId });
+  res.json({ ok:true });
+});
+
+app.post("/api/program/:deviceId/resume", userAuth, deviceAccess("operator"), async (req,res)=>{
+  const { deviceId } = req.params;
+  const state = await ControlState.findOne({ deviceId, "program.status": "paused" }).lean();
+  if (!state) return fail(res, 409, "program not paused");
+  // Se corre el inicio del paso lo que duró la pausa
+  const now = new Date();
+  const { stepStartedAt, pausedAt } = state.program;
+  const shifted = new Date(new Date(stepStartedAt).getTime() + (now - new Date(pausedAt)));
+  await ControlState.updateOne({ deviceId }, {
+    $set: { "program.status": "running", "program.stepStartedAt": shifted },
+    $unset: { "program.pausedAt": 1 }
+  });
+  await recordAudit(req, "program.resume", { deviceId });
+  res.json({ ok:true });
+});
+
+app.post("/api/program/:deviceId/abort", userAuth, deviceAccess("operator"), async (req,res)=>{
+  const { deviceId } = req.params;
+  const r = await ControlState.updateOne(
+    { deviceId, "program.status": { $in: ["running","paused"] } },
+    { $set: { "program.status": "aborted", "program.endedAt": new Date() } }
+  );
+  if (!r.modifiedCount) return fail(res, 409, "no active program");
+  await recordAudit(req, "program.abort", { deviceId });
+  res.json({ ok:true });
+});
+
+// Alarmas: listado y reconocimiento
+app.get("/api/alarms", userAuth, validate({ query: alarmsQuery }), deviceAccess(), async (req,res)=>{
+  const { deviceId, state, limit } = req.query;
+  const q = deviceId ? { deviceId } : await deviceFilter(req);
+  if (state === "open") q.state = { $in: ["active","acknowledged"] };
+  else if (state) q.state = state;
+  const list = await Alarm.find(q).sort({ raisedAt: -1 }).limit(limit).lean();
+  res.json(list);
+});
+
+app.post("/api/alarms/:id/ack", userAuth, requireRole("operator"), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No alarm");
+  const prev = await Alarm.findById(req.params.id).lean();
+  if (!prev) return fail(res, 404, "No alarm");
+  if (!(await canAccess(req, prev.deviceId))) return fail(res, 403, "Forbidden");
+  const alarm = await Alarm.findOneAndUpdate(
+    { _id: req.params.id, state: "active" },
+    { state: "acknowledged", ackedAt: new Date(), ackedBy: req.user.email },
+    { new: true }
+  );
+  if (!alarm) return fail(res, 409, "alarm not active");
+  await recordAudit(req, "alarm.ack", { deviceId: alarm.deviceId, summary: alarm.name, meta: { alarmId: alarm._id } });
+  res.json(alarm);
+});
+
+// Reglas de alarma
+app.get("/api/alarm-rules", userAuth, validate({ query: byDevice }), deviceAccess(), async (req,res)=>{
+  const { deviceId } = req.query;
+  res.json(await AlarmRule.find({ deviceId }).sort({ name: 1 }).lean());
+});
+
+// Fuente de una regla high/low: "pv" o un canal del dispositivo
+async function sourceIssue(deviceId, source){
+  if (source === undefined || source === "pv") return null;
+  const cfg = await Config.findOne({ deviceId }).lean();
+  if (channelsOf(cfg).some(c => c.key === source)) return null;
+  return [{ in: "body", path: "source", message: `canal inexistente: ${source}` }];
+}
+
+app.post("/api/alarm-rules", userAuth, validate({ body: alarmRuleBody }), deviceAccess("operator"), async (req,res)=>{
+  const bad = await sourceIssue(req.body.deviceId, req.body.source);
+  if (bad) return fail(res, 400, "Validación fallida", "VALIDATION", bad);
+  res.status(201).json(await AlarmRule.create(req.body));
+});
+
+app.put("/api/alarm-rules/:id", userAuth, requireRole("operator"), validate({ body: alarmRuleFields }), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No rule");
+  const prev = await AlarmRule.findById(req.params.id).lean();
+  if (!prev) return fail(res, 404, "No rule");
+  if (!(await canAccess(req, prev.deviceId))) return fail(res, 403, "Forbidden");
+  const bad = await sourceIssue(prev.deviceId, req.body.source);
+  if (bad) return fail(res, 400, "Validación fallida", "VALIDATION", bad);
+  const rule = await AlarmRule.findByIdAndUpdate(req.params.id, req.body, { new: true });
+  if (!rule) return fail(res, 404, "No rule");
+  res.json(rule);
+});
+
+app.delete("/api/alarm-rules/:id", userAuth, requireRole("operator"), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No rule");
+  const prev = await AlarmRule.findById(req.params.id).lean();
+  if (!prev) return fail(res, 404, "No rule");
+  if (!(await canAccess(req, prev.deviceId))) return fail(res, 403, "Forbidden");
+  const r = await AlarmRule.deleteOne({ _id: req.params.id });
+  if (!r.deletedCount) return fail(res, 404, "No rule");
+  res.json({ ok:true });
+});
+
+// Canales de notificación (admin: guardan credenciales)
+app.get("/api/alarm-channels", userAuth, requireRole("admin"), async (req,res)=>{
+  res.json(await AlarmChannel.find().sort({ name: 1 }).lean());
+});
+
+app.post("/api/alarm-channels", userAuth, requireRole("admin"), validate({ body: channelBody }), async (req,res)=>{
+  const ch = await AlarmChannel.create(req.body);
+  res.status(201).json(ch);
+});
+
+app.put("/api/alarm-channels/:id", userAuth, requireRole("admin"), validate({ body: channelPatchBody }), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No channel");
+  const ch = await AlarmChannel.findByIdAndUpdate(req.params.id, req.body, { new: true });
+  if (!ch) return fail(res, 404, "No channel");
+  res.json(ch);
+});
+
+app.delete("/api/alarm-channels/:id", userAuth, requireRole("admin"), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No channel");
+  const r = await AlarmChannel.deleteOne({ _id: req.params.id });
+  if (!r.deletedCount) return fail(res, 404, "No channel");
+  res.json({ ok:true });
+});
+
+// Envío de prueba (p. ej. contra un receptor webhook local o MailHog)
+app.post("/api/alarm-channels/:id/test", userAuth, requireRole("admin"), async (req,res)=>{
+  if (!mongoose.isValidObjectId(req.params.id)) return fail(res, 404, "No channel");
+  const ch = await AlarmChannel.findById(req.params.id).lean();
+  if (!ch) return fail(res, 404, "No channel");
+  const message = formatAlarmMessage("test", {
+    deviceId: "-", name: "Prueba de canal", severity: "info", message: `canal ${ch.name}`, raisedAt: new Date()
+  });
+  try {
+    await sendNotification(ch, message);
+    res.json({ ok:true });
+  } catch (err) {
+    fail(res, 502, err?.message || String(err));
+  }
+});
+
+// Auditoría: ?deviceId&action=a,b&actor&from&to&limit
+// (sin deviceId: admin ve todo, el resto solo sus dispositivos)
+app.get("/api/audit", userAuth, validate({ query: auditQuery }), deviceAccess(), async (req,res)=>{
+  const { deviceId, action, actor, from, to, limit } = req.query;
+  const q = deviceId ? { deviceId } : await deviceFilter(req);
+  if (action) q.action = { $in: action.split(",") };
+  if (actor) q.actor = actor;
+  if (from || to) {
+    q.at = {};
+    if (from) q.at.$gte = from;
+    if (to)   q.at.$lte = to;
+  }
+  const list = await Audit.find(q).sort({ at: -1 }).limit(limit).lean();
+  res.json(list);
+});
+
+// Push lecturas desde el dispositivo (firmware con x-device-token)
+app.post("/api/thermo/push", limitPushIp, deviceAuth, limitPushDevice, async (req,res)=>{
+  const out = await ingestReading(req.device.deviceId, req.body);
+  res.status(out.status).json(out.body);
+});
+
+// Subida en lote de lecturas guardadas offline (firmware con x-device-token).
+// Body: { readings: [{ seq, boot?, ts, <canales>, r1?, r2? }, ...] } (máx. 1000)
+// Dedupe por (deviceId, boot, seq) en la misma fecha (splitRetries); solo la
+// más reciente corre el control y su decisión es la que se devuelve.
+app.post("/api/thermo/batch", limitPushIp, deviceAuth, limitPushDevice, validate({ body: batchBody }), async (req,res)=>{
+  const { deviceId } = req.device;
+  const list = req.body.readings;
+  if (list.length > 1000) return fail(res, 413, "máx. 1000 lecturas");
+
+  const cfg = await Config.findOne({ deviceId }) || await Config.create({ deviceId });
+  const keys = channelsOf(cfg).map(c => c.key);
+  const rejected = [];
+  const valid = [];
+  list.forEach((item, index)=>{
+    const { data: r, details: invalid } = check(batchItem, item);
+    const details = invalid || channelIssue(keys, r);
+    if (details) return rejected.push({ index, seq: item?.seq, error: details[0].message, details });
+    valid.push(r);
+  });
+
+  const { fresh, existing } = await splitRetries(deviceId, valid);
+  const duplicates = existing.map(r => r.seq).sort((a,b)=>a-b);
+  fresh.sort((a,b)=> new Date(a.ts) - new Date(b.ts));
+
+  // Solo la última muestra corre el control, y solo si es más nueva que lo guardado
+  const lastStored = await Reading.findOne({ deviceId }).sort({ ts: -1 }).lean();
+  const newest = fresh[fresh.length - 1];
+  const controlNewest = newest && (!lastStored || new Date(newest.ts) > new Date(lastStored.ts));
+  const historical = controlNewest ? fresh.slice(0, -1) : fresh;
+  const stored = await storeBackfill(deviceId, cfg, historical);
+
+  const batch = { received: list.length, stored, duplicates, rejected, lastSeq: newest?.seq ?? null };
+  if (controlNewest) {
+    const out = await ingestReading(deviceId, newest);
+    if (out.status === 200 && !out.body.duplicate) batch.stored += 1;
+    return res.status(out.status).json({ ...out.body, batch });
+  }
+  res.json({ ok:true, desired: relayState(await lastDecision(deviceId)).desired, batch });
+});
+
+// Estado lógico actual (firmware/cliente)
+app.get("/api/thermo/status", statusAuth, validate({ query: byDevice }), async (req,res)=>{
+  const { deviceId } = req.query;
+  const cfg = await Config.findOne({ deviceId }).lean();
+  if (!cfg) return fail(res, 404, "No config");
+  const last = await Reading.findOne({ deviceId }).sort({ ts: -1 }).lean();
+  res.json(await thermoStatus(cfg, last));
+});
+
+// Ticket para abrir el canal en vivo (ver streamAuth)
+app.post("/api/live/:deviceId/ticket", userAuth, deviceAccess(), (req,res)=>{
+  const { uid, sid, tv, exp } = req.auth;
+  const ticket = signJWT({ typ: "stream", uid, sid, tv, deviceId: req.params.deviceId, until: exp }, STREAM_TICKET_TTL);
+  res.json({ ticket, expiresAt: new Date(jwt.decode(ticket).exp * 1000) });
+});
+
+// Canal en vivo (SSE) por dispositivo. Eventos:
+//   reading -> mismo formato que /api/thermo/status (id = ts en ms)
+//   config  -> config del dispositivo tras un PATCH o comando manual
+// Al reconectar, EventSource manda Last-Event-ID y se reenvían las lecturas
+// posteriores (las 1000 más recientes); ?since=<ms> hace lo mismo en la
+// primera conexión. La suscripción se abre antes de leer el backlog: lo que
+// llega mientras tanto queda en cola y sale después, sin repetir.
+app.get("/api/live/:deviceId", streamAuth, validate({ query: liveQuery }), deviceAccess(), async (req,res)=>{
+  const { deviceId } = req.params;
+  const cfg = await Config.findOne({ deviceId }).lean();
+  if (!cfg) return fail(res, 404, "No config");
+
+  sseHeaders(res);
+  res.write("retry: 3000\n\n");
+  const sub = subscribe(deviceId, res, { uid: req.user.uid, sid: req.user.sid, until: req.auth.until * 1000 });
+  if (!sub) return;
+
+  let lastId = -Infinity;
+  const since = Number(req.header("last-event-id") || req.query.since);
+  if (Number.isFinite(since) && since > 0) {
+    const backlog = (await Reading.find({ deviceId, ts: { $gt: new Date(since) } })
+      .sort({ ts: -1 }).limit(1000).lean()).reverse();
+    const state = await ControlState.findOne({ deviceId }).lean();
+    const interlocks = await activeInterlocks(deviceId);
+    if (res.destroyed) return;
+    for (const r of backlog) {
+      lastId = new Date(r.ts).getTime();
+      sendEvent(res, "reading", statusPayload(cfg, state, interlocks, r), lastId);
+    }
+  } else {
+    const last = await Reading.findOne({ deviceId }).sort({ ts: -1 }).lean();
+    if (last && !res.destroyed) {
+      lastId = new Date(last.ts).getTime();
+      sendEvent(res, "reading", await thermoStatus(cfg, last), lastId);
+    }
+  }
+  sub.release(lastId);
+});
+
+
+// Históricos (JSON)
+app.get("/api/readings", userAuth, validate({ query: readingsQuery }), deviceAccess(), async (req,res)=>{
+  const { deviceId, from, to, limit } = req.query;
+  const q = { deviceId };
+  if (from || to) {
+    q.ts = {};
+    if (from) q.ts.$gte = from;
+    if (to)   q.ts.$lte = to;
+  }
+  const data = await Reading.find(q).sort({ ts: 1 }).limit(limit).lean();
+  res.json(data.map(readingView));
+});
+
+// Históricos agregados por intervalos (min/max/avg por sensor y PV, duty de relés).
+// bucket: segundos o "auto" (según points, por defecto 500 puntos).
+const BUCKETS = [1, 5, 10, 30, 60, 300, 600, 900, 1800, 3600, 7200, 21600, 43200, 86400];
+
+function pickBucket(spanMs, points){
+  const target = spanMs / 1000 / points;
+  return BUCKETS.find(b => b >= target) || BUCKETS[BUCKETS.length - 1];
+}
+
+// Agregados de un rango: rollups por hora / minuto hasta sus marcas de agua
+// (lo crudo ya puede haberse borrado) y lecturas crudas desde ahí en adelante.
+// keys: canales a incluir en `values` de cada punto
+async function historyPoints(deviceId, from, to, bucketSec, keys = LEGACY_KEYS){
+  const ms = bucketSec * 1000;
+  const wm = (await ControlState.findOne({ deviceId }).lean())?.rollup || {};
+  const parts = [];
+  let cursor = from;
+  for (const res of ["hour", "minute"]) {
+    const until = wm[`${res}Until`];
+    if (bucketSec % ROLLUP_RES[res] || !until || cursor >= until) continue;
+    const end = until < to ? until : to;
+    parts.push(ReadingRollup.aggregate([
+      { $match: { deviceId, res, t: { $gte: floorTo(cursor, ROLLUP_RES[res] * 1000), $lt: end } } },
+      ...rollupGroupStages(ms, keys)
+    ]).allowDiskUse(true));
+    cursor = end;
+  }
+  if (cursor < to) {
+    // Intervalos de varios minutos: primero por minuto, igual que los rollups
+    const minMs = ROLLUP_RES.minute * 1000;
+    const stages = ms > minMs && ms % minMs === 0
+      ? [...rawGroupStages(minMs, keys), ...rollupGroupStages(ms, keys)]
+      : rawGroupStages(ms, keys);
+    parts.push(Reading.aggregate([
+      ...rawSampleStages(deviceId, cursor, new Date(to.getTime() + 1)), // `to` incluido
+      ...stages
+    ]).allowDiskUse(true));
+  }
+
+  // Los intervalos del borde entre fuentes aparecen dos veces: se unen
+  const byT = new Map();
+  for (const p of (await Promise.all(parts)).flat()) {
+    const k = new Date(p.t).getTime();
+    byT.set(k, byT.has(k) ? mergePoints(byT.get(k), p) : p);
+  }
+  return [...byT.values()].sort((x, y)=> x.t - y.t);
+}
+
+app.get("/api/history", userAuth, validate({ query: historyQuery }), deviceAccess(), async (req,res)=>{
+  const { deviceId, bucket, points } = req.query;
+  const to = req.query.to || new Date();
+  const from = req.query.from || new Date(to.getTime() - 24*3600*1000);
+  if (from >= to) return fail(res, 400, "from/to inválidos", "VALIDATION");
+  const bucketSec = bucket === "auto" ? pickBucket(to - from, points) : bucket;
+
+  const channels = channelsOf(await Config.findOne({ deviceId }).lean());
+  const out = await historyPoints(deviceId, from, to, bucketSec, channels.map(c => c.key));
+  res.json({ deviceId, from, to, bucket: bucketSec, channels, points: out });
+});
+
+/* -------------------------------- Energía -------------------------------- */
+// Estado actual + acumulados de hoy y del mes (zona horaria del horario o ?tz=)
+app.get("/api/energy/:deviceId", userAuth, validate({ query: energyQuery }), deviceAccess(), async (req,res)=>{
+  const { deviceId } = req.params;
+  const cfg = await Config.findOne({ deviceId }).lean();
+  if (!cfg) return fail(res, 404, "No config");
+  const tz = req.query.tz || cfg.schedule?.timezone || "UTC";
+
+  const now = new Date();
+  const last = await Reading.findOne({ deviceId }).sort({ ts: -1 }).lean();
+  // 32 días cubren el mes local en curso sea cual sea el desfase horario
+  const points = await historyPoints(deviceId, new Date(now.getTime() - 32*86400000), now, 3600, []);
+  const [today] = energyTotals(points, cfg.energy, "day", tz).slice(-1);
+  const [month] = energyTotals(points, cfg.energy, "month", tz).slice(-1);
+  res.json({
+    deviceId, timezone: tz, config: cfg.energy,
+    state: energyState(last?.pv, cfg.energy), pv: last?.pv ?? null, at: last?.ts || null,
+    today: today || null, month: month || null
+  });
+});
+
+// Totales diarios / mensuales: ?period=day|month&from&to&tz
+app.get("/api/energy/:deviceId/totals", userAuth, validate({ query: energyTotalsQuery }), deviceAccess(), async (req,res)=>{
+  const { deviceId } = req.params;
+  const cfg = await Config.findOne({ deviceId }).lean();
+  if (!cfg) return fail(res, 404, "No config");
+  const { period } = req.query;
+  const tz = req.query.tz || cfg.schedule?.timezone || "UTC";
+  const to = req.query.to || new Date();
+  const span = (period === "month" ? 366 : 31) * 86400000;
+  const from = req.query.from || new Date(to.getTime() - span);
+  if (from >= to) return fail(res, 400, "from/to inválidos", "VALIDATION");
+
+  const points = await historyPoints(deviceId, from, to, 3600, []);
+  res.json({ deviceId, period, timezone: tz, from, to, totals: energyTotals(points, cfg.energy, period, tz) });
+});
+
+/* ------------------------------ Almacenamiento ------------------------------ */
+// Tamaño promedio de documento de una colección (0 si aún no existe)
+async function avgObjSize(model){
+  try {
+    const [s] = await model.aggregate([{ $collStats: { storageStats: {} } }]);
+    return s?.storageStats?.avgObjSize || 0;
+  } catch {
+    return 0;
+  }
+}
+
+// Uso de almacenamiento por dispositivo (admin)
+app.get("/api/storage/stats", userAuth, requireRole("admin"), validate({ query: compactBody }), async (req,res)=>{
+  const q = req.query.deviceId ? { deviceId: req.query.deviceId } : {};
+  const [rawSize, rollupSize] = await Promise.all([avgObjSize(Reading), avgObjSize(ReadingRollup)]);
+  const [raw, rollups, cfgs, states] = await Promise.all([
+    Reading.aggregate([{ $match: q }, {
+      $group: { _id: "$deviceId", count: { $sum: 1 }, oldest: { $min: "$ts" }, newest: { $max: "$ts" } }
+    }]),
+    ReadingRollup.aggregate([{ $match: q }, {
+      $group: { _id: { deviceId: "$deviceId", res: "$res" }, count: { $sum: 1 }, oldest: { $min: "$t" } }
+    }]),
+    Config.find(q).lean(),
+    ControlState.find(q).lean()
+  ]);
+
+  const ids = new Set([...raw.map(r => r._id), ...cfgs.map(c => c.deviceId)]);
+  const devices = [...ids].sort().map(deviceId => {
+    const r = raw.find(x => x._id === deviceId);
+    const roll = (res)=> rollups.find(x => x._id.deviceId === deviceId && x._id.res === res);
+    const minute = roll("minute"), hour = roll("hour");
+    const count = (r?.count || 0);
+    const rollCount = (minute?.count || 0) + (hour?.count || 0);
+    return {
+      deviceId,
+      retention: cfgs.find(c => c.deviceId === deviceId)?.retention || null,
+      raw: { count, oldest: r?.oldest || null, newest: r?.newest || null },
+      minute: { count: minute?.count || 0, oldest: minute?.oldest || null },
+      hour: { count: hour?.count || 0, oldest: hour?.oldest || null },
+      estBytes: Math.round(count * rawSize + rollCount * rollupSize),
+      rollup: states.find(s => s.deviceId === deviceId)?.rollup || null
+    };
+  });
+  res.json({ devices });
+});
+
+// Compactación inmediata (un dispositivo o todos)
+app.post("/api/storage/compact", userAuth, requireRole("admin"), validate({ body: compactBody }), async (req,res)=>{
+  const { deviceId } = req.body;
+  const results = deviceId ? [await compactDevice(deviceId)] : await compactAll();
+  await recordAudit(req, "storage.compact", { deviceId });
+  res.json({ ok:true, results });
+});
+
+// Históricos (CSV): una columna por canal del dispositivo (clave)
+app.get("/api/readings.csv", userAuth, validate({ query: csvQuery }), deviceAccess(), async (req,res)=>{
+  const { deviceId, from, to, limit } = req.query;
+  await streamExport(res, { deviceId, from, to, limit, format: "csv", tz: "UTC", delimiter: "comma" });
+});
+
+/* ---------------------- Exportación / importación ---------------------- */
+const EXPORT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  excel: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8"
+};
+const MAX_EXPORT_POINTS = 500000;
+const EXPORT_CHUNK_POINTS = 5000; // intervalos por consulta al re-muestrear
+const MAX_IMPORT_ROWS = 100000;
+
+// Espera "drain" antes de seguir escribiendo (o el cierre si el cliente se fue)
+function drained(res){
+  return new Promise(resolve => {
+    const done = ()=> { res.off("drain", done); res.off("close", done); resolve(); };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// Escribe lecturas crudas (cursor de Mongo) o re-muestreadas (historyPoints
+// por tramos de EXPORT_CHUNK_POINTS intervalos) sin armar el archivo completo
+// en memoria.
+async function streamExport(res, { deviceId, format, columns, tz, resample, delimiter, from, to, limit }){
+  const channels = channelsOf(await Config.findOne({ deviceId }).lean());
+  const available = exportColumns(channels.map(c => c.key), !!resample);
+  const unknown = (columns || []).filter(c => !available.includes(c));
+  if (unknown.length) {
+    return fail(res, 400, "Validación fallida", "VALIDATION",
+      unknown.map(c => ({ in: "query", path: "columns", message: `columna inexistente: ${c}` })));
+  }
+  const cols = columns?.length ? columns : available;
+
+  let range = null;
+  if (resample) {
+    const end = to || new Date();
+    let start = from;
+    if (!start) {
+      // Desde el dato más viejo: rollup (lo crudo puede haberse borrado) o lectura
+      const [r, u] = await Promise.all([
+        Reading.findOne({ deviceId }).sort({ ts: 1 }).select("ts").lean(),
+        ReadingRollup.findOne({ deviceId }).sort({ t: 1 }).select("t").lean()
+      ]);
+      start = new Date(Math.min(end.getTime(), ...[r?.ts, u?.t].filter(Boolean).map(d => new Date(d).getTime())));
+    }
+    if (start >= end) return fail(res, 400, "from/to inválidos", "VALIDATION");
+    if ((end - start) / 1000 / resample > MAX_EXPORT_POINTS) {
+      return fail(res, 400, `máx. ${MAX_EXPORT_POINTS} intervalos: usa un resample mayor o un rango menor`, "VALIDATION");
+    }
+    range = { start, end, keys: channels.map(c => c.key).filter(k => cols.includes(k)) };
+  }
+
+  res.setHeader("Content-Type", EXPORT_TYPES[format]);
+  res.setHeader("Content-Disposition",
+    `attachment; filename="${deviceId}_readings.${format === "ndjson" ? "ndjson" : "csv"}"`);
+  const opts = { format, timeZone: tz, delimiter: DELIMITERS[delimiter] };
+  let buf = format === "excel" ? "\ufeff" : "";
+  if (format !== "ndjson") {
+    const byKey = new Map(channels.map(c => [c.key, c]));
+    const title = (c)=> format === "excel" && byKey.has(c) ? `${byKey.get(c).label} (${byKey.get(c).unit})` : c;
+    buf += csvLine(cols.map(title), opts.delimiter);
+  }
+  const push = async (line)=> {
+    buf += line;
+    if (buf.length < 65536) return;
+    const ok = res.write(buf);
+    buf = "";
+    if (!ok) await drained(res);
+  };
+
+  if (range) {
+    // Tramos alineados a los intervalos: un punto del borde solo sale en el
+    // tramo donde empieza (historyPoints incluye `to`)
+    const { start, end, keys } = range;
+    const step = EXPORT_CHUNK_POINTS * resample * 1000;
+    let a = start, b = new Date(floorTo(start, resample * 1000).getTime() + step);
+    while (a < end) {
+      const last = b >= end;
+      for (const p of await historyPoints(deviceId, a, last ? end : b, resample, keys)) {
+        if (res.destroyed) return;
+        if (!last && p.t >= b) continue;
+        await push(formatRecord(pointRecord(p), cols, opts));
+      }
+      a = b;
+      b = new Date(b.getTime() + step);
+    }
+  } else {
+    const q = { deviceId };
+    if (from || to) {
+      q.ts = {};
+      if (from) q.ts.$gte = from;
+      if (to)   q.ts.$lte = to;
+    }
+    const cursor = Reading.find(q).sort({ ts: 1 }).limit(limit).lean().cursor({ batchSize: 1000 });
+    try {
+      for await (const d of cursor) {
+        if (res.destroyed) return;
+        await push(formatRecord(readingRecord(d, readingValues(d)), cols, opts));
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+  res.end(buf);
+}
+
+// ?format=csv|excel|ndjson, columns (ver exportColumns), tz (IANA), resample
+// (s, promedios por intervalo), delimiter=comma|semicolon|tab, from/to, limit
+app.get("/api/export/:deviceId", userAuth, validate({ query: exportQuery }), deviceAccess(), async (req,res)=>{
+  await streamExport(res, { deviceId: req.params.deviceId, ...req.query });
+});
+
+// Registros del archivo: [{ line, rec }] o [{ line, error }]. En CSV la
+// línea es la fila de datos + 1 (encabezado).
+function parseImport(text, format){
+  const body = text.replace(/^\ufeff/, "");
+  if (format === "ndjson") {
+    return body.split(/\r?\n/).map((l, i) => [i + 1, l.trim()]).filter(([, l]) => l).map(([line, l]) => {
+      try {
+        const rec = JSON.parse(l);
+        return rec && typeof rec === "object" && !Array.isArray(rec) ? { line, rec } : { line, error: "se espera un objeto" };
+      } catch {
+        return { line, error: "JSON inválido" };
+      }
+    });
+  }
+  const out = Papa.parse(body, { header: true, dynamicTyping: true, skipEmptyLines: true });
+  const errors = new Map(out.errors.filter(e => Number.isInteger(e.row)).map(e => [e.row, e.message]));
+  return out.data.map((rec, i) => errors.has(i) ? { line: i + 2, error: errors.get(i) } : { line: i + 2, rec });
+}
+
+// Importación de logs guardados offline (SD). Body text/csv (encabezado con
+// claves de canal, ts, seq?, boot?, r1?, r2?) o application/x-ndjson. Se guardan
+// como subida diferida (sin control); duplicados por seq o ts se informan y
+// las filas anteriores a la retención ya aplicada se rechazan.
+app.post("/api/import/:deviceId", userAuth, deviceAccess("operator"),
+  express.text({ type: ["text/*", "application/x-ndjson", "application/ndjson"], limit: "20mb" }),
+  validate({ query: importQuery }), async (req,res)=>{
+  const { deviceId } = req.params;
+  const { tz, dryRun } = req.query;
+  if (typeof req.body !== "string" || !req.body.trim()) {
+    return fail(res, 400, "Archivo vacío: body text/csv o application/x-ndjson", "VALIDATION");
+  }
+  const format = req.query.format || (req.is(["application/x-ndjson", "application/ndjson"]) ? "ndjson" : "csv");
+  const rows = parseImport(req.body, format);
+  if (rows.length > MAX_IMPORT_ROWS) return fail(res, 413, `máx. ${MAX_IMPORT_ROWS} lecturas por importación`);
+
+  const cfg = await Config.findOne({ deviceId }) || await Config.create({ deviceId });
+  const keys = channelsOf(cfg).map(c => c.key);
+  const horizon = await retentionHorizon(deviceId);
+  const rejected = [];
+  const seen = new Set();
+  const samples = [];
+  let inFile = 0;
+  for (const { line, rec, error } of rows) {
+    if (error) { rejected.push({ line, error }); continue; }
+    const { data: r, details: invalid } = check(importItem, rec);
+    const details = invalid || channelIssue(keys, r);
+    if (details) { rejected.push({ line, error: details[0].message, details }); continue; }
+    const ts = parseTs(r.ts, tz);
+    if (!ts) { rejected.push({ line, error: "ts inválido" }); continue; }
+    if (horizon && ts < horizon) {
+      rejected.push({ line, error: `anterior a la retención (${horizon.toISOString()})` });
+      continue;
+    }
+    // Repetidas dentro del archivo: sin seq, por ts (con seq, splitRetries)
+    if (!Number.isInteger(r.seq)) {
+      if (seen.has(ts.getTime())) { inFile++; continue; }
+      seen.add(ts.getTime());
+    }
+    samples.push({ ...r, seq: r.seq ?? undefined, boot: r.boot ?? undefined, ts });
+  }
+  samples.sort((a, b)=> a.ts - b.ts);
+
+  // Ya guardadas: mismo seq (splitRetries) o mismo instante, por tandas
+  const split = await splitRetries(deviceId, samples);
+  inFile += split.repeated.length;
+  let existing = split.existing.length, accepted = 0, stored = 0;
+  for (let i = 0; i < split.fresh.length; i += 1000) {
+    const chunk = split.fresh.slice(i, i + 1000);
+    const found = await Reading.find({ deviceId, ts: { $in: chunk.map(s => s.ts) } }).select("ts").lean();
+    const byTs = new Set(found.map(r => new Date(r.ts).getTime()));
+    const fresh = chunk.filter(s => !byTs.has(s.ts.getTime()));
+    existing += chunk.length - fresh.length;
+    accepted += fresh.length;
+    if (!dryRun) stored += await storeBackfill(deviceId, cfg, fresh);
+  }
+
+  if (stored) {
+    await recordAudit(req, "readings.import", {
+      deviceId, summary: `${stored} lecturas importadas`,
+      meta: { format, received: rows.length, rejected: rejected.length, duplicates: inFile + existing }
+    });
+  }
+  res.json({
+    ok: true, dryRun, format, received: rows.length, accepted, stored,
+    duplicates: { inFile, existing },
+    rejected: rejected.slice(0, 100), rejectedCount: rejected.length,
+    from: samples[0]?.ts ?? null, to: samples[samples.length - 1]?.ts ?? null
+  });
+});
+
+// Salud
+app.get("/health", (req,res)=>res.json({ ok:true }));
+
+/* ------------------------ Migración tokens planos ------------------------ */
+// Versiones anteriores guardaban Device.token en texto plano: se pasa a hash
+// (los equipos siguen usando el mismo token).
+export async function migrateDeviceTokens(){
+  try {
+    const legacy = await Device.collection.find({ token: { $exists: true } }).toArray();
+    for (const d of legacy) {
+      await Device.collection.updateOne({ _id: d._id }, {
+        $set: { tokenHash: hashToken(d.token), tokenPrefix: tokenPrefix(d.token) }, $unset: { token: "" }
+      });
+    }
+    if (legacy.length) console.log(`🔐 ${legacy.length} token(s) de dispositivo migrados a hash`);
+  } catch (err) {
+    console.error("Migración de tokens:", err?.message || err);
+  }
+}
+
+// El índice único de lecturas era (deviceId, seq); ahora incluye boot
+export async function migrateReadingIndexes(){
+  try {
+    if (await Reading.collection.indexExists("deviceId_1_seq_1")) {
+      await Reading.collection.dropIndex("deviceId_1_seq_1");
+      console.log("🔁 Índice de lecturas (deviceId, seq) reemplazado por (deviceId, boot, seq)");
+    }
+  } catch (err) {
+    console.error("Migración de índices:", err?.message || err);
+  }
+}
+
+/* ------------------------- Watchdog datos viejos ------------------------- */
+// Si un dispositivo deja de enviar lecturas válidas con el calentador encendido
+// se registra el disparo "stale" aunque no vuelva a hacer push.
+async function staleWatchdog(){
+  const now = new Date();
+  const cfgs = await Config.find({ "safety.staleTimeout": { $gt: 0 } }).lean();
+  for (const cfg of cfgs) {
+    const { deviceId } = cfg;
+    const state = await ControlState.findOne({ deviceId }).lean();
+    if (!state?.lastValidAt) continue;
+    const gap = (now - new Date(state.lastValidAt)) / 1000;
+    if (gap <= cfg.safety.staleTimeout) continue;
+    const last = await lastDecision(deviceId);
+    if (!last?.desiredR1 && !last?.desiredR2) continue;
+    if (await Interlock.exists({ deviceId, type: "stale", active: true })) continue;
+    await Interlock.create({ deviceId, type: "stale", value: gap, limit: cfg.safety.staleTimeout, trippedAt: now });
+    console.warn(`⚠️ Interlock stale: ${deviceId} sin datos válidos hace ${Math.round(gap)} s`);
+  }
+}
+
+// Alarmas "offline": se evalúan por tiempo, no hay push que las dispare
+async function offlineAlarmWatchdog(){
+  const now = new Date();
+  const deviceIds = await AlarmRule.distinct("deviceId", { type: "offline", enabled: true });
+  for (const deviceId of deviceIds) {
+    const last = await Reading.findOne({ deviceId }).sort({ ts: -1 }).lean();
+    await processAlarms(deviceId, { at: now, lastSeen: last?.ts }, ["offline"]);
+  }
+}
+
+/* ---------------------------------- MQTT ---------------------------------- */
+// Opcional: solo si hay MQTT_URL. Misma auth (token del Device, en el JSON),
+// misma decisión de control y misma persistencia que /api/thermo/push.
+function startMqtt(){
+  mqttBridge = startMqttBridge({
+    url: process.env.MQTT_URL,
+    prefix: process.env.MQTT_PREFIX || "onoff",
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    onTelemetry: async (deviceId, msg)=>{
+      const { token, ...body } = msg;
+      if (!token) return { status: 401, body: errorBody(401, "No device token") };
+      const dev = await Device.findOne({ deviceId, enabled: true, ...tokenQuery(token) });
+      if (!dev) return { status: 403, body: errorBody(403, "Forbidden") };
+      // Después del token, como en HTTP: un token falso no gasta el cupo del equipo
+      if (!pushDeviceLimiter.hit(deviceId).ok) return { status: 429, body: errorBody(429, "too many requests") };
+      touchDevice(dev, { firmware: body.fw, transport: "mqtt" });
+      return ingestReading(deviceId, body);
+    },
+    // Al (re)conectar se publica la config retenida de todos los dispositivos
+    onConnect: async ()=>{
+      try {
+        for (const cfg of await Config.find().lean()) mqttBridge.publishConfig(cfg.deviceId, cfg);
+      } catch (err) {
+        console.error("MQTT config:", err?.message || err);
+      }
+    }
+  });
+}
+
+/* --------------------------- Tareas de fondo --------------------------- */
+// Watchdogs, rollups por hora y puente MQTT (server.js, no en los tests)
+export function startJobs(){
+  const every = (fn, ms)=> setInterval(()=> fn().catch(err => console.error(`${fn.name}:`, err?.message || err)), ms).unref();
+  every(staleWatchdog, 15000);
+  every(offlineAlarmWatchdog, 15000);
+  every(compactAll, 3600 * 1000);  // rollups y retención
+  if (process.env.MQTT_URL) startMqtt();
+}
+
+/* ------------------------------- Errores ------------------------------- */
+app.use(notFoundHandler);
+app.use(errorHandler);
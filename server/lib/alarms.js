@@ -0,0 +1,61 @@
+// lib/alarms.js
+// Evaluación de reglas de alarma (sin dependencias de Mongo)
+
+export const ALARM_TYPES = ["high", "low", "offline", "mismatch", "fault", "interlock"];
+export const SEVERITIES = ["info", "warning", "critical"];
+
+// Condición de una regla sobre el contexto actual del dispositivo.
+//   ctx: { at, values: { pv, <canal>.. }, mismatch, faults: {}, interlocks: [], lastSeen }
+//   rule.source: "pv" o la clave de un canal (lib/channels.js)
+//   open: ya hay una alarma abierta (aplica la banda muerta para salir)
+// Devuelve { cond, value, message } o null si no se puede evaluar.
+export function evaluateRule(rule, ctx, open = false){
+  const db = Math.max(0, rule.deadband || 0);
+  switch (rule.type) {
+    case "high":
+    case "low": {
+      const v = ctx.values?.[rule.source || "pv"];
+      if (!Number.isFinite(v) || !Number.isFinite(rule.threshold)) return null;
+      const cond = rule.type === "high"
+        ? (open ? v > rule.threshold - db : v > rule.threshold)
+        : (open ? v < rule.threshold + db : v < rule.threshold);
+      const op = rule.type === "high" ? ">" : "<";
+      return { cond, value: v, message: `${rule.source || "pv"} = ${v.toFixed(1)} ${op} ${rule.threshold}` };
+    }
+    case "offline": {
+      if (!ctx.lastSeen || !(rule.offlineTimeout > 0)) return null;
+      const gap = (new Date(ctx.at) - new Date(ctx.lastSeen)) / 1000;
+      return { cond: gap > rule.offlineTimeout, value: gap, message: `sin datos hace ${Math.round(gap)} s` };
+    }
+    case "mismatch": {
+      const relays = Object.entries(ctx.mismatch || {}).filter(([, m]) => m).map(([r]) => r);
+      return { cond: relays.length > 0, value: relays.length, message: `discrepancia en ${relays.join(", ") || "-"}` };
+    }
+    case "fault": {
+      const f = Object.entries(ctx.faults || {});
+      return { cond: f.length > 0, value: f.length, message: f.map(([k,v]) => `${k}:${v}`).join(" ") || "sin fallas" };
+    }
+    case "interlock": {
+      // Solo enclavamientos; los bloqueos temporales (minOffTime) no alarman
+      const list = (ctx.interlocks || []).filter(i => i.latched !== false);
+      return { cond: list.length > 0, value: list.length, message: list.map(i => i.type).join(", ") || "sin enclavamientos" };
+    }
+    default:
+      return null;
+  }
+}
+
+// Transición de una regla. state: { pendingSince } de la regla, open: alarma abierta.
+// Devuelve { action: "raise" | "clear" | null, pendingSince }
+export function nextAlarmAction(rule, result, state, open, at){
+  if (!result) return { action: null, pendingSince: state.pendingSince || null };
+  if (result.cond) {
+    if (open) return { action: null, pendingSince: null };
+    const since = state.pendingSince || at;
+    const held = (new Date(at) - new Date(since)) / 1000;
+    return held >= (rule.delayOn || 0)
+      ? { action: "raise", pendingSince: null }
+      : { action: null, pendingSince: since };
+  }
+  return { action: open ? "clear" : null, pendingSince: null };
+}
@@ -0,0 +1,28 @@
+// lib/audit.js
+// Diferencias antes/después para el registro de auditoría (sin dependencias de Mongo)
+
+// Valor en una ruta con puntos ("loops.r1.sp")
+export function getPath(obj, path){
+  return path.split(".").reduce((o, k)=> (o == null ? undefined : o[k]), obj);
+}
+
+const same = (a, b)=> JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Cambios efectivos en las rutas indicadas: [{ path, from, to }]
+export function diffPaths(before, after, paths){
+  const out = [];
+  for (const path of paths) {
+    const from = getPath(before, path), to = getPath(after, path);
+    if (!same(from, to)) out.push({ path, from: from ?? null, to: to ?? null });
+  }
+  return out;
+}
+
+const fmt = (v)=> (v === null || v === undefined ? "—" : typeof v === "object" ? JSON.stringify(v) : String(v));
+
+// Resumen corto para listados y anotaciones: "sp 60 → 65, h 2 → 3"
+export function summarize(changes, max = 3){
+  const parts = changes.slice(0, max).map(c => `${c.path} ${fmt(c.from)} → ${fmt(c.to)}`);
+  if (changes.length > max) parts.push(`+${changes.length - max}`);
+  return parts.join(", ");
+}
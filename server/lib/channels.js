@@ -0,0 +1,61 @@
+// lib/channels.js
+// Canales de medición por dispositivo (sin dependencias de Mongo).
+// Las lecturas guardan los valores calibrados por clave de canal en
+// `values`; las anteriores traen s1..s4 como campos sueltos y se leen igual.
+
+export const SENSOR_TYPES = ["thermocouple", "pt100", "humidity", "generic"];
+export const LEGACY_KEYS = ["s1", "s2", "s3", "s4"];
+export const MAX_CHANNELS = 16;
+
+// Clave de canal: se usa como nombre de campo en Mongo y columna del CSV
+export const CHANNEL_KEY = /^[A-Za-z][A-Za-z0-9_]{0,15}$/;
+// Campos de la telemetría y columnas de exportación que no pueden ser canales
+export const RESERVED_KEYS = [
+  "ts", "seq", "r1", "r2", "values", "pv", "sp", "deviceId", "token", "fw",
+  "desiredR1", "desiredR2", "faults", "pvMin", "pvMax", "dutyR1", "dutyR2", "count"
+];
+
+const COLORS = ["#60a5fa", "#34d399", "#fbbf24", "#f472b6", "#c084fc", "#fb7185", "#4ade80", "#facc15"];
+
+// Sin canales definidos: las cuatro termocuplas tipo K originales
+export const DEFAULT_CHANNELS = LEGACY_KEYS.map((key, i) => ({
+  key, label: key.toUpperCase(), unit: "°C", type: "thermocouple", offset: 0, gain: 1, color: COLORS[i]
+}));
+
+// Solo los canales de temperatura entran al PV si no se eligen sensores
+export const isTemperature = (ch)=> ch.type === "thermocouple" || ch.type === "pt100";
+
+// Canales efectivos de una config, con defaults completos
+export function channelsOf(cfg){
+  const list = cfg?.channels?.length ? cfg.channels : DEFAULT_CHANNELS;
+  return list.map((c, i) => ({
+    key: c.key,
+    label: c.label || c.key.toUpperCase(),
+    unit: c.unit ?? "°C",
+    type: c.type || "thermocouple",
+    offset: Number.isFinite(c.offset) ? c.offset : 0,
+    gain: Number.isFinite(c.gain) ? c.gain : 1,
+    color: c.color || COLORS[i % COLORS.length]
+  }));
+}
+
+// Sensores que forman el PV: los elegidos en pv.sensors o los de temperatura
+export function pvKeys(cfg, channels = channelsOf(cfg)){
+  return cfg?.pv?.sensors?.length ? [...cfg.pv.sensors] : channels.filter(isTemperature).map(c => c.key);
+}
+
+// Telemetría -> { clave: valor calibrado | null }. Los valores llegan sueltos
+// (s1: 20.5) o agrupados en `values`; null/"nan" = sensor abierto.
+export function channelValues(channels, body){
+  const src = { ...body, ...(body?.values || {}) };
+  return Object.fromEntries(channels.map(c => {
+    const raw = src[c.key];
+    return [c.key, Number.isFinite(raw) ? raw * c.gain + c.offset : null];
+  }));
+}
+
+// Valores por canal de una lectura guardada (formato actual o s1..s4)
+export function readingValues(r){
+  if (r?.values) return r.values instanceof Map ? Object.fromEntries(r.values) : { ...r.values };
+  return Object.fromEntries(LEGACY_KEYS.filter(k => r?.[k] !== undefined).map(k => [k, r[k]]));
+}
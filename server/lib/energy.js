@@ -0,0 +1,74 @@
+// lib/energy.js
+// Balance energético de la batería de arena (sin dependencias de Mongo).
+// Potencias en kW, masa en kg, calor específico en kJ/(kg·K), energía en kWh.
+
+export const PERIODS = ["day", "month"];
+
+// Energía térmica sobre la temperatura de referencia tMin (0 kWh = descargada)
+export function storedKwh(pv, e){
+  if (!Number.isFinite(pv) || !(e?.massKg > 0) || !(e?.cp > 0)) return null;
+  return Math.max(0, e.massKg * e.cp * (pv - e.tMin) / 3600);
+}
+
+export function capacityKwh(e){
+  if (!(e?.massKg > 0) || !(e?.cp > 0) || !(e.tMax > e.tMin)) return null;
+  return e.massKg * e.cp * (e.tMax - e.tMin) / 3600;
+}
+
+// Estado de carga 0..100 % entre tMin y tMax
+export function stateOfCharge(pv, e){
+  if (!Number.isFinite(pv) || !(e?.tMax > e?.tMin)) return null;
+  return Math.min(100, Math.max(0, (pv - e.tMin) / (e.tMax - e.tMin) * 100));
+}
+
+// Resumen para status: null si el dispositivo no tiene lecho configurado
+export function energyState(pv, e){
+  const capacity = capacityKwh(e);
+  if (capacity === null) return null;
+  return { storedKwh: storedKwh(pv, e), capacityKwh: capacity, soc: stateOfCharge(pv, e) };
+}
+
+// kWh consumidos por un relé a partir de sus segundos encendido
+export const consumedKwh = (onSec, powerKw)=> (onSec || 0) * (powerKw || 0) / 3600;
+
+// Clave del período local ("2026-10-19" / "2026-10") en la zona horaria indicada
+export function periodKey(at, period, timeZone = "UTC"){
+  const p = Object.fromEntries(new Intl.DateTimeFormat("en-CA", {
+    timeZone, year: "numeric", month: "2-digit", day: "2-digit"
+  }).formatToParts(new Date(at)).map(x => [x.type, x.value]));
+  return period === "month" ? `${p.year}-${p.month}` : `${p.year}-${p.month}-${p.day}`;
+}
+
+export function validTimeZone(tz){
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Totales por período a partir de puntos agregados (ver lib/rollup.js):
+// cada punto trae onSecR1/onSecR2 y el PV promedio del intervalo.
+export function energyTotals(points, e, period, timeZone){
+  const out = new Map();
+  for (const p of points) {
+    const key = periodKey(p.t, period, timeZone);
+    let row = out.get(key);
+    if (!row) {
+      row = { period: key, kwhR1: 0, kwhR2: 0, kwh: 0, onHoursR1: 0, onHoursR2: 0, storedStartKwh: null, storedEndKwh: null };
+      out.set(key, row);
+    }
+    row.kwhR1 += consumedKwh(p.onSecR1, e?.powerR1);
+    row.kwhR2 += consumedKwh(p.onSecR2, e?.powerR2);
+    row.onHoursR1 += (p.onSecR1 || 0) / 3600;
+    row.onHoursR2 += (p.onSecR2 || 0) / 3600;
+    const stored = storedKwh(p.pv?.avg, e);
+    if (stored !== null) {
+      if (row.storedStartKwh === null) row.storedStartKwh = stored;
+      row.storedEndKwh = stored;
+    }
+  }
+  for (const row of out.values()) row.kwh = row.kwhR1 + row.kwhR2;
+  return [...out.values()];
+}
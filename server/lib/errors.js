@@ -0,0 +1,87 @@
+// lib/errors.js
+// Modelo de error único de la API: { ok:false, error, code, details? }
+// y manejo central de errores (también de handlers async en Express 4).
+
+export const CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "RATE_LIMITED",
+  500: "INTERNAL",
+  502: "UPSTREAM_ERROR"
+};
+
+export class ApiError extends Error {
+  constructor(status, message, code = CODES[status] || "ERROR", details){
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function errorBody(status, error, code = CODES[status] || "ERROR", details){
+  const body = { ok:false, error, code };
+  if (details !== undefined) body.details = details;
+  return body;
+}
+
+// Respuesta de error desde un handler: return fail(res, 404, "No config")
+export function fail(res, status, error, code, details){
+  return res.status(status).json(errorBody(status, error, code, details));
+}
+
+// Traduce errores conocidos (Mongo/Mongoose, body-parser, CORS) al modelo único
+function toApiError(err){
+  if (err instanceof ApiError) return err;
+  if (err?.type === "entity.parse.failed") return new ApiError(400, "JSON inválido", "INVALID_JSON");
+  if (err?.type === "entity.too.large") return new ApiError(413, "Body demasiado grande");
+  if (err?.name === "CastError") return new ApiError(400, `Valor inválido en ${err.path}`, "VALIDATION");
+  if (err?.name === "ValidationError") {
+    const details = Object.values(err.errors || {}).map(e => ({ path: e.path, message: e.message }));
+    return new ApiError(400, "Validación fallida", "VALIDATION", details);
+  }
+  if (err?.code === 11000) return new ApiError(409, "Registro duplicado", "DUPLICATE", err.keyValue);
+  if (String(err?.message || "").startsWith("CORS blocked")) return new ApiError(403, err.message, "CORS");
+  return null;
+}
+
+// Último middleware de la app
+export function errorHandler(err, req, res, next){
+  if (res.headersSent) return next(err);
+  const api = toApiError(err);
+  if (!api) {
+    console.error(`${req.method} ${req.originalUrl}:`, err?.stack || err);
+    return fail(res, 500, "Error interno");
+  }
+  return fail(res, api.status, api.message, api.code, api.details);
+}
+
+export function notFoundHandler(req, res){
+  return fail(res, 404, `Ruta no encontrada: ${req.method} ${req.path}`, "ROUTE_NOT_FOUND");
+}
+
+// Express 4 no captura promesas rechazadas: envuelve cada handler de
+// app.get/post/put/patch/delete para que el rechazo llegue a errorHandler.
+export function asyncRoutes(app){
+  const wrap = (fn)=> typeof fn !== "function" || fn.length === 4 ? fn : function(req, res, next){
+    try {
+      const out = fn.call(this, req, res, next);
+      if (out && typeof out.catch === "function") out.catch(next);
+    } catch (err) {
+      next(err);
+    }
+  };
+  for (const method of ["get", "post", "put", "patch", "delete"]) {
+    const orig = app[method].bind(app);
+    app[method] = (...args)=> {
+      // app.get("setting") es el getter de configuración, no una ruta
+      if (method === "get" && args.length === 1) return orig(...args);
+      return orig(...args.map(wrap));
+    };
+  }
+  return app;
+}
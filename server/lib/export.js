@@ -0,0 +1,110 @@
+// lib/export.js
+// Formatos de exportación / importación de lecturas (sin dependencias de Mongo).
+//   csv    -> encabezado con claves, fechas ISO 8601 (re-importable)
+//   excel  -> CSV con BOM UTF-8, encabezado "Etiqueta (unidad)" y fechas
+//             locales "AAAA-MM-DD hh:mm:ss" que Excel reconoce como fecha
+//   ndjson -> un objeto JSON por línea
+
+export const EXPORT_FORMATS = ["csv", "excel", "ndjson"];
+export const IMPORT_FORMATS = ["csv", "ndjson"];
+export const DELIMITERS = { comma: ",", semicolon: ";", tab: "\t" };
+
+// Columnas disponibles: lecturas crudas o puntos re-muestreados (lib/rollup.js).
+// Las crudas conservan el orden histórico (ts, sensores, pv, desiredR1,
+// desiredR2); las columnas nuevas van siempre al final.
+export function exportColumns(keys, resampled){
+  return resampled
+    ? ["ts", ...keys, "pv", "pvMin", "pvMax", "sp", "dutyR1", "dutyR2", "count"]
+    : ["ts", ...keys, "pv", "desiredR1", "desiredR2", "sp", "r1", "r2", "faults"];
+}
+
+function localParts(at, timeZone){
+  return Object.fromEntries(new Intl.DateTimeFormat("en-CA", {
+    timeZone, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).formatToParts(at).map(x => [x.type, x.value]));
+}
+
+// Desfase de la zona horaria respecto de UTC en ese instante (minutos)
+export function tzOffsetMin(at, timeZone){
+  const p = localParts(at, timeZone);
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return Math.round((asUtc - Math.floor(at.getTime() / 1000) * 1000) / 60000);
+}
+
+// Fecha de salida: ISO 8601 con el desfase de la zona ("...Z" en UTC) o,
+// para Excel, la hora local sin zona
+export function formatTs(at, timeZone = "UTC", excel = false){
+  const d = new Date(at);
+  if (!excel && timeZone === "UTC") return d.toISOString();
+  const p = localParts(d, timeZone);
+  const local = `${p.year}-${p.month}-${p.day}${excel ? " " : "T"}${p.hour}:${p.minute}:${p.second}`;
+  if (excel) return local;
+  const off = tzOffsetMin(d, timeZone), a = Math.abs(off);
+  const pad = (n)=> String(n).padStart(2, "0");
+  const ms = String(d.getUTCMilliseconds()).padStart(3, "0");
+  return `${local}.${ms}${off < 0 ? "-" : "+"}${pad(Math.floor(a / 60))}:${pad(a % 60)}`;
+}
+
+const NAIVE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+// Fecha de entrada: epoch (s o ms), ISO con zona, o fecha local sin zona
+// (la de Excel / logs de la SD) interpretada en `timeZone`. null si no sirve.
+export function parseTs(v, timeZone = "UTC"){
+  if (typeof v === "number") return Number.isFinite(v) ? new Date(v < 1e11 ? v * 1000 : v) : null;
+  if (typeof v !== "string" || !v.trim()) return null;
+  const s = v.trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return parseTs(Number(s));
+  const m = NAIVE.exec(s);
+  if (m) {
+    const [, y, mo, d, h, mi, se = "0", ms = "0"] = m;
+    const guess = Date.UTC(+y, +mo - 1, +d, +h, +mi, +se, +ms.padEnd(3, "0"));
+    // Segunda pasada: el desfase puede cambiar en torno al cambio de horario
+    const first = guess - tzOffsetMin(new Date(guess), timeZone) * 60000;
+    return new Date(guess - tzOffsetMin(new Date(first), timeZone) * 60000);
+  }
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Lectura guardada -> registro plano (faults como objeto)
+export function readingRecord(d, values){
+  return {
+    ...values, ts: d.ts, pv: d.pv, sp: d.sp,
+    desiredR1: d.desiredR1, desiredR2: d.desiredR2, r1: d.r1, r2: d.r2,
+    faults: d.faults || {}
+  };
+}
+
+// Punto agregado -> registro plano (promedios del intervalo)
+export function pointRecord(p){
+  return {
+    ...Object.fromEntries(Object.entries(p.values || {}).map(([k, s]) => [k, s.avg])),
+    ts: p.t, pv: p.pv?.avg, pvMin: p.pv?.min, pvMax: p.pv?.max, sp: p.sp,
+    dutyR1: p.dutyR1, dutyR2: p.dutyR2, count: p.count
+  };
+}
+
+export function csvLine(cells, delimiter = ","){
+  return cells.map(v => {
+    if (v === null || v === undefined || (typeof v === "number" && !Number.isFinite(v))) return "";
+    const s = String(v);
+    return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(delimiter) + "\r\n";
+}
+
+// Registro -> línea del formato pedido. opts: { format, timeZone, delimiter }
+export function formatRecord(rec, cols, { format = "csv", timeZone = "UTC", delimiter = "," } = {}){
+  const excel = format === "excel";
+  const cell = (c)=> {
+    const v = rec[c];
+    if (c === "ts") return formatTs(v, timeZone, excel);
+    if (c === "faults") {
+      const f = v instanceof Map ? Object.fromEntries(v) : v || {};
+      return format === "ndjson" ? f : Object.entries(f).map(([k, x]) => `${k}:${x}`).join(" ");
+    }
+    return v ?? null;
+  };
+  if (format === "ndjson") return JSON.stringify(Object.fromEntries(cols.map(c => [c, cell(c)]))) + "\n";
+  return csvLine(cols.map(cell), delimiter);
+}
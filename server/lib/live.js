@@ -0,0 +1,77 @@
+// lib/live.js
+// Canal en vivo por Server-Sent Events, agrupado por deviceId
+
+const subscribers = new Map(); // deviceId -> Set<{ res, queue, uid, sid }>
+
+export function sseHeaders(res){
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no" // nginx/Render: no bufferizar el stream
+  });
+  res.flushHeaders?.();
+}
+
+export function sendEvent(res, event, data, id){
+  let out = "";
+  if (id !== undefined && id !== null) out += `id: ${id}\n`;
+  out += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  res.write(out);
+}
+
+// Registra la respuesta y la limpia al cerrarse la conexión. Los eventos
+// publicados quedan en cola hasta release(lastId) (mientras se envía el
+// backlog); los de id <= lastId ya salieron en el backlog y se descartan.
+// uid/sid: dueño del stream (closeStreams); until: ms epoch desde el que se
+// corta (se revisa con cada heartbeat).
+// null si el cliente ya se desconectó.
+export function subscribe(deviceId, res, { uid, sid, until = Infinity, heartbeatMs = 25000 } = {}){
+  if (res.destroyed) return null;
+  if (!subscribers.has(deviceId)) subscribers.set(deviceId, new Set());
+  const set = subscribers.get(deviceId);
+  const sub = { res, queue: [], uid, sid };
+  set.add(sub);
+  const hb = setInterval(()=> Date.now() >= until ? res.end() : res.write(": ping\n\n"), heartbeatMs);
+  res.on("close", ()=>{
+    clearInterval(hb);
+    set.delete(sub);
+    if (!set.size && subscribers.get(deviceId) === set) subscribers.delete(deviceId);
+  });
+  return {
+    release(lastId = -Infinity){
+      const queued = sub.queue || [];
+      sub.queue = null;
+      for (const [event, data, id] of queued) {
+        if (typeof id === "number" && id <= lastId) continue;
+        sendEvent(res, event, data, id);
+      }
+    }
+  };
+}
+
+export function publish(deviceId, event, data, id){
+  const set = subscribers.get(deviceId);
+  if (!set) return 0;
+  for (const sub of set) {
+    if (sub.queue) sub.queue.push([event, data, id]);
+    else sendEvent(sub.res, event, data, id);
+  }
+  return set.size;
+}
+
+// Corta los streams cuyo dueño cumple match({ uid, sid }): sesión cerrada
+// o revocada, usuario deshabilitado o con otros permisos
+export function closeStreams(match){
+  let n = 0;
+  for (const set of subscribers.values()) {
+    for (const sub of set) {
+      if (match({ uid: sub.uid, sid: sub.sid })) { sub.res.end(); n++; }
+    }
+  }
+  return n;
+}
+
+export function subscriberCount(deviceId){
+  return subscribers.get(deviceId)?.size || 0;
+}
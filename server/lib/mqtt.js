@@ -0,0 +1,55 @@
+// lib/mqtt.js
+// Puente MQTT hacia un broker configurable. Tópicos (prefix = "onoff"):
+//   onoff/<deviceId>/telemetry  <- lecturas del firmware (JSON, incluye token)
+//   onoff/<deviceId>/desired    -> decisión de control (igual que el push HTTP)
+//   onoff/<deviceId>/error      -> rechazo de una telemetría (auth/validación)
+//   onoff/<deviceId>/config     -> config del dispositivo (retained; vacío al borrarlo)
+import mqtt from "mqtt";
+
+// Solo host:puerto para los logs; la URL puede traer usuario:clave
+function brokerHost(url){
+  try { return new URL(url).host; } catch { return "broker"; }
+}
+
+export function startMqttBridge({ url, prefix = "onoff", username, password, onTelemetry, onConnect }){
+  const client = mqtt.connect(url, {
+    username, password,
+    clientId: `onoff-backend-${Math.random().toString(16).slice(2, 10)}`,
+    reconnectPeriod: 5000
+  });
+  const topic = (deviceId, kind) => `${prefix}/${deviceId}/${kind}`;
+  const send = (deviceId, kind, data, opts = {}) =>
+    client.publish(topic(deviceId, kind), JSON.stringify(data), { qos: 1, ...opts });
+
+  client.on("connect", ()=>{
+    console.log(`✅ MQTT conectado (${brokerHost(url)})`);
+    client.subscribe(`${prefix}/+/telemetry`, { qos: 1 });
+    onConnect?.();
+  });
+  client.on("error", err => console.error("❌ MQTT:", err?.message || err));
+
+  client.on("message", async (t, payload)=>{
+    if (!t.startsWith(`${prefix}/`)) return;
+    const [deviceId, kind, ...extra] = t.slice(prefix.length + 1).split("/");
+    if (!deviceId || kind !== "telemetry" || extra.length) return;
+
+    let msg;
+    try { msg = JSON.parse(payload.toString()); }
+    catch { return send(deviceId, "error", { ok:false, error:"JSON inválido" }); }
+
+    try {
+      const out = await onTelemetry(deviceId, msg || {});
+      send(deviceId, out.status === 200 ? "desired" : "error", out.body);
+    } catch (err) {
+      console.error("MQTT telemetry:", err?.message || err);
+      send(deviceId, "error", { ok:false, error:"internal" });
+    }
+  });
+
+  return {
+    publishConfig: (deviceId, cfg) => send(deviceId, "config", cfg, { retain: true }),
+    // Payload vacío retenido: el broker borra la config guardada del tópico
+    clearConfig: (deviceId) => client.publish(topic(deviceId, "config"), "", { qos: 1, retain: true }),
+    close: () => client.end()
+  };
+}
@@ -0,0 +1,64 @@
+// lib/notify.js
+// Canales de notificación de alarmas. Cada tipo es una función
+// send(config, message) que lanza error si la entrega falla; para agregar
+// un canal nuevo basta con registrarlo en `channels`.
+import nodemailer from "nodemailer";
+
+// POST JSON a una URL (Slack/Teams/n8n/etc. o un receptor local de pruebas)
+async function webhook(config, message){
+  if (!config?.url) throw new Error("webhook: url requerida");
+  const res = await fetch(config.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(config.headers || {}) },
+    body: JSON.stringify(message),
+    signal: AbortSignal.timeout(config.timeoutMs || 10000)
+  });
+  if (!res.ok) throw new Error(`webhook: HTTP ${res.status}`);
+}
+
+// Correo por SMTP (funciona contra MailHog/Mailpit en localhost:1025)
+async function smtp(config, message){
+  if (!config?.host || !config?.to) throw new Error("smtp: host/to requeridos");
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port || 587,
+    secure: !!config.secure,
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+    connectionTimeout: config.timeoutMs || 10000
+  });
+  await transport.sendMail({
+    from: config.from || "alarms@onoff.local",
+    to: config.to,
+    subject: message.subject,
+    text: message.text
+  });
+}
+
+export const channels = { webhook, smtp };
+export const CHANNEL_TYPES = Object.keys(channels);
+
+// Mensaje común a todos los canales
+export function formatAlarmMessage(event, alarm){
+  const tag = { raised: "ALARMA", cleared: "NORMALIZADA", test: "PRUEBA" }[event] || event;
+  const subject = `[${tag}] ${alarm.deviceId} · ${alarm.name}`;
+  const text = [
+    subject,
+    `Severidad: ${alarm.severity}`,
+    alarm.message ? `Detalle: ${alarm.message}` : null,
+    `Hora: ${new Date(alarm.clearedAt || alarm.raisedAt || Date.now()).toISOString()}`
+  ].filter(Boolean).join("\n");
+  return {
+    event, subject, text,
+    alarm: {
+      id: alarm._id, deviceId: alarm.deviceId, name: alarm.name, type: alarm.type,
+      severity: alarm.severity, state: alarm.state, value: alarm.value, message: alarm.message,
+      raisedAt: alarm.raisedAt, clearedAt: alarm.clearedAt
+    }
+  };
+}
+
+export async function sendNotification(channel, message){
+  const send = channels[channel.type];
+  if (!send) throw new Error(`canal desconocido: ${channel.type}`);
+  await send(channel.config || {}, message);
+}
@@ -0,0 +1,80 @@
+// lib/pid.js
+// PID con salida proporcional en el tiempo y autotune por curva de reacción
+// (sin dependencias de Mongo). Salida en % (outMin..outMax), tiempos en s.
+
+const secs = (a, b)=> (new Date(a) - new Date(b)) / 1000;
+const clamp = (n,a,b)=>Math.min(Math.max(n,a),b);
+
+// Un paso del PID. Derivada sobre la medición (sin "kick" al cambiar SP) y
+// anti-windup por integración condicional + límite del término integral.
+//   gains: { kp, ki, kd, outMin, outMax }
+//   state: { integral, lastPv, lastAt }
+export function pidStep(state = {}, gains, sp, pv, at){
+  const { kp = 0, ki = 0, kd = 0, outMin = 0, outMax = 100 } = gains;
+  if (!Number.isFinite(pv)) {
+    return { output: outMin, state: { ...state, lastAt: at } };
+  }
+  const dt = state.lastAt ? secs(at, state.lastAt) : 0;
+  const err = sp - pv;
+
+  let integral = Number.isFinite(state.integral) ? state.integral : 0;
+  const deriv = dt > 0 && Number.isFinite(state.lastPv) ? -(pv - state.lastPv) / dt : 0;
+
+  const unsat = kp*err + ki*integral + kd*deriv;
+  if (dt > 0 && ki !== 0) {
+    const next = integral + err*dt;
+    // Solo integrar si no empuja más allá de la saturación
+    const pushingHigh = unsat >= outMax && err > 0;
+    const pushingLow  = unsat <= outMin && err < 0;
+    if (!pushingHigh && !pushingLow) integral = next;
+    integral = clamp(integral, Math.min(outMin/ki, outMax/ki), Math.max(outMin/ki, outMax/ki));
+  }
+
+  const output = clamp(kp*err + ki*integral + kd*deriv, outMin, outMax);
+  return { output, state: { integral, lastPv: pv, lastAt: at } };
+}
+
+// Ventanas proporcionales en el tiempo: el duty se fija al inicio de cada
+// ventana de `cycle` segundos y el relé queda ON durante duty% de la ventana.
+//   win: { windowStart, duty }
+export function timeProportional(win = {}, output, cycle, at){
+  let { windowStart, duty } = win;
+  if (!windowStart || secs(at, windowStart) >= cycle || secs(at, windowStart) < 0) {
+    windowStart = at;
+    duty = clamp(output, 0, 100);
+  }
+  const on = secs(at, windowStart) < (duty / 100) * cycle;
+  return { on, windowStart, duty };
+}
+
+// Ganancias sugeridas a partir de la respuesta al escalón (Ziegler–Nichols,
+// lazo abierto). samples: [{ t: Date, pv }] en orden; step: escalón en %.
+// Devuelve null si todavía no hay respuesta medible.
+export function analyzeStepResponse(samples, step){
+  const pts = samples.filter(s => Number.isFinite(s.pv));
+  if (pts.length < 5 || !(step > 0)) return null;
+  const t0 = new Date(pts[0].t);
+  const pv0 = pts[0].pv;
+
+  // Pendiente máxima sobre una ventana móvil para filtrar ruido
+  const k = Math.max(1, Math.floor(pts.length / 20));
+  let best = null;
+  for (let i = 0; i + k < pts.length; i++) {
+    const dt = secs(pts[i+k].t, pts[i].t);
+    if (dt <= 0) continue;
+    const slope = (pts[i+k].pv - pts[i].pv) / dt;
+    if (!best || slope > best.slope) best = { slope, i };
+  }
+  if (!best || best.slope <= 0) return null;
+
+  // Tiempo muerto: cruce de la tangente con el PV inicial
+  const p = pts[best.i];
+  const tp = secs(p.t, t0);
+  const L = Math.max(tp - (p.pv - pv0) / best.slope, secs(pts[1].t, t0) || 1);
+  const R = best.slope / step; // °C/s por % de salida
+
+  const kp = 1.2 / (R * L);
+  const ti = 2 * L;
+  const td = 0.5 * L;
+  return { R, L, kp, ki: kp / ti, kd: kp * td };
+}
@@ -0,0 +1,87 @@
+// lib/program.js
+// Programación de setpoint: horario semanal y perfiles rampa/meseta
+// (sin dependencias de Mongo). Tiempos en s, rampas en °C/h.
+
+export const STEP_TYPES = ["ramp", "soak", "cool"];
+
+const secs = (a, b)=> (new Date(a) - new Date(b)) / 1000;
+const DAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Minuto de la semana (0 = domingo 00:00) en la zona horaria indicada
+function weekMinute(at, timeZone = "UTC"){
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23"
+  }).formatToParts(new Date(at)).map(p => [p.type, p.value]));
+  return DAY_INDEX[parts.weekday] * 1440 + Number(parts.hour) * 60 + Number(parts.minute);
+}
+
+export function parseHHMM(str){
+  const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(str || ""));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// SP del horario semanal: la última entrada que empezó antes de `at`
+// (dando la vuelta a la semana). entries: [{ days: [1,2,3], time: "06:30", sp }]
+export function scheduleSp(schedule, at){
+  if (!schedule?.enabled || !schedule.entries?.length) return null;
+  const now = weekMinute(at, schedule.timezone || "UTC");
+  let best = null;
+  for (const e of schedule.entries) {
+    const min = parseHHMM(e.time);
+    if (min === null || !Number.isFinite(e.sp)) continue;
+    for (const d of e.days?.length ? e.days : [0,1,2,3,4,5,6]) {
+      const start = d * 1440 + min;
+      const ago = (now - start + 7*1440) % (7*1440);
+      if (!best || ago < best.ago) best = { ago, sp: e.sp };
+    }
+  }
+  return best ? best.sp : null;
+}
+
+// Evalúa un programa en curso.
+//   run:   { status, stepIndex, stepStartedAt, stepStartSp, pausedAt }
+//   steps: [{ type: "ramp", target, rate } | { type: "soak", duration }
+//           | { type: "cool", target?, duration? }]
+// Devuelve { sp, heat, run } donde run trae el avance de paso ya aplicado
+// (status "done" al terminar el último paso).
+export function evaluateProgram(run, steps, pv, at){
+  const next = { ...run };
+  const when = run.status === "paused" && run.pausedAt ? run.pausedAt : at;
+  let sp = next.stepStartSp, heat = true;
+
+  // Varios pasos pueden completarse entre dos pushes
+  for (let guard = 0; guard <= steps.length; guard++) {
+    const step = steps[next.stepIndex];
+    if (!step) { next.status = "done"; next.endedAt = at; return { sp: null, heat: true, run: next }; }
+    const elapsed = Math.max(0, secs(when, next.stepStartedAt));
+    let dur = null;
+
+    if (step.type === "ramp") {
+      const delta = step.target - next.stepStartSp;
+      dur = step.rate > 0 ? Math.abs(delta) / step.rate * 3600 : 0;
+      sp = dur > 0 ? next.stepStartSp + delta * Math.min(1, elapsed / dur) : step.target;
+      heat = true;
+    } else if (step.type === "soak") {
+      dur = step.duration || 0;
+      sp = next.stepStartSp;
+      heat = true;
+    } else { // cool: calentamiento apagado hasta bajar de target o cumplir duration
+      sp = next.stepStartSp;
+      heat = false;
+      const reached = Number.isFinite(step.target) && Number.isFinite(pv) && pv <= step.target;
+      const timedOut = step.duration > 0 && elapsed >= step.duration;
+      const open = !Number.isFinite(step.target) && !(step.duration > 0);
+      if (reached || timedOut || open) dur = Math.min(elapsed, step.duration > 0 ? step.duration : elapsed);
+    }
+
+    if (dur === null || elapsed < dur || run.status === "paused") break;
+
+    // Paso completo: el siguiente arranca donde terminó éste
+    next.stepIndex += 1;
+    next.stepStartedAt = new Date(new Date(next.stepStartedAt).getTime() + dur * 1000);
+    next.stepStartSp = step.type === "ramp" ? step.target
+      : step.type === "cool" && Number.isFinite(step.target) ? step.target
+      : next.stepStartSp;
+  }
+  return { sp, heat, run: next };
+}
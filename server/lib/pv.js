@@ -0,0 +1,73 @@
+// lib/pv.js
+// Cálculo de PV y validación de termocuplas (sin dependencias de Mongo)
+
+export const PV_STRATEGIES = ["mean", "median", "min", "max", "weighted"];
+
+export const mean = (vals)=> vals.length ? vals.reduce((a,b)=>a+b,0)/vals.length : NaN;
+
+export function median(vals){
+  if (!vals.length) return NaN;
+  const v = [...vals].sort((a,b)=>a-b);
+  const m = Math.floor(v.length/2);
+  return v.length % 2 ? v[m] : (v[m-1] + v[m]) / 2;
+}
+
+// values: { s1: 21.3, s2: null, ... } solo con sensores válidos
+// opts:   { strategy, sensors: ["s1","s3"], weights: { s1: 2, s3: 1 } }
+export function computePv(values, opts = {}){
+  const keys = (opts.sensors?.length ? opts.sensors : Object.keys(values))
+    .filter(k => Number.isFinite(values[k]));
+  const vals = keys.map(k => values[k]);
+  if (!vals.length) return NaN;
+
+  switch (opts.strategy) {
+    case "median": return median(vals);
+    case "min":    return Math.min(...vals);
+    case "max":    return Math.max(...vals);
+    case "weighted": {
+      let sw = 0, acc = 0;
+      for (const k of keys) {
+        const w = Number(opts.weights?.[k] ?? 1);
+        if (!(w > 0)) continue;
+        sw += w; acc += w * values[k];
+      }
+      return sw > 0 ? acc / sw : NaN;
+    }
+    default: return mean(vals);
+  }
+}
+
+// Reglas de plausibilidad por sensor. Devuelve { s1: "range", ... } solo con
+// los sensores en falla:
+//   nan   -> no llegó un número finito (termocupla abierta suele dar NaN)
+//   range -> fuera de [min, max]
+//   rate  -> cambio mayor a maxRate °C/s respecto a la lectura anterior
+//   stuck -> stuckCount lecturas seguidas iguales (±stuckEpsilon)
+// history: lecturas anteriores, la más reciente primero ({ ts, <canal>.. })
+export function checkSensors(current, ts, history, rules = {}, keys = Object.keys(current)){
+  const faults = {};
+  const prev = history[0];
+  const dt = prev?.ts ? (new Date(ts) - new Date(prev.ts)) / 1000 : NaN;
+
+  for (const k of keys) {
+    const v = current[k];
+    if (!Number.isFinite(v)) { faults[k] = "nan"; continue; }
+
+    if ((Number.isFinite(rules.min) && v < rules.min) ||
+        (Number.isFinite(rules.max) && v > rules.max)) {
+      faults[k] = "range"; continue;
+    }
+
+    if (rules.maxRate > 0 && dt > 0 && Number.isFinite(prev?.[k])) {
+      if (Math.abs(v - prev[k]) / dt > rules.maxRate) { faults[k] = "rate"; continue; }
+    }
+
+    const n = rules.stuckCount;
+    if (n > 1 && history.length >= n - 1) {
+      const eps = rules.stuckEpsilon ?? 0;
+      const same = history.slice(0, n - 1).every(r => Number.isFinite(r[k]) && Math.abs(r[k] - v) <= eps);
+      if (same) faults[k] = "stuck";
+    }
+  }
+  return faults;
+}
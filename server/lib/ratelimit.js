@@ -0,0 +1,45 @@
+// lib/ratelimit.js
+// Límite de peticiones en memoria por clave (IP, deviceId, ...) con ventana fija.
+// Sirve para un solo proceso; con varias instancias cada una cuenta lo suyo.
+
+import { fail } from "./errors.js";
+
+export function createLimiter({ windowMs, max }){
+  const hits = new Map(); // clave -> { count, resetAt }
+
+  // Limpieza periódica de ventanas vencidas
+  const sweep = setInterval(()=>{
+    const now = Date.now();
+    for (const [k, v] of hits) if (v.resetAt <= now) hits.delete(k);
+  }, Math.max(windowMs, 60000));
+  sweep.unref?.();
+
+  return {
+    max, windowMs,
+    // Cuenta un intento; ok=false si ya se superó el máximo
+    hit(key, now = Date.now()){
+      let h = hits.get(key);
+      if (!h || h.resetAt <= now) {
+        h = { count: 0, resetAt: now + windowMs };
+        hits.set(key, h);
+      }
+      h.count++;
+      return { ok: h.count <= max, remaining: Math.max(0, max - h.count), retryAfter: Math.ceil((h.resetAt - now) / 1000) };
+    },
+    reset(key){ hits.delete(key); }
+  };
+}
+
+// Middleware Express: key(req) devuelve la clave o null (sin límite)
+export function rateLimit(limiter, key){
+  return (req,res,next)=>{
+    const k = key(req);
+    if (k == null) return next();
+    const r = limiter.hit(k);
+    res.set("RateLimit-Limit", String(limiter.max));
+    res.set("RateLimit-Remaining", String(r.remaining));
+    if (r.ok) return next();
+    res.set("Retry-After", String(r.retryAfter));
+    return fail(res, 429, "too many requests", "RATE_LIMITED", { retryAfter: r.retryAfter });
+  };
+}
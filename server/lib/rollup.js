@@ -0,0 +1,153 @@
+// lib/rollup.js
+// Etapas de agregación para históricos y rollups (minuto / hora).
+// Un punto agregado tiene la forma:
+//   { t, count, sp, dutyR1, dutyR2, onSecR1, onSecR2, pv: { min, max, avg, n },
+//     values: { s1: { min, max, avg, n }, ... } }
+// donde n es la cantidad de valores válidos usados en avg, duty es el % del
+// estado deseado y onSec los segundos con el relé encendido (físico si el
+// equipo lo reporta, si no el deseado; lecturas sin ninguno de los dos, como
+// las de subida diferida sin r1/r2, no cuentan). Cada lectura vale el tiempo
+// hasta la siguiente, con tope MAX_SAMPLE_GAP: así los kWh no dependen de la
+// frecuencia de envío y un corte no se cuenta como relé encendido.
+// `values` trae un stat por cada clave de canal pedida (`keys`, ver
+// lib/channels.js) que tenga datos en el intervalo.
+
+import { LEGACY_KEYS } from "./channels.js";
+
+export const ROLLUP_RES = { minute: 60, hour: 3600 };
+export const MAX_SAMPLE_GAP = 120; // s
+
+// Lecturas crudas de un dispositivo en [from, to) con `dt`: segundos hasta la
+// siguiente lectura (tope MAX_SAMPLE_GAP). Se mira más allá de `to` para no
+// cortar la última; el tiempo se asigna al intervalo donde empieza.
+export function rawSampleStages(deviceId, from, to){
+  const ahead = new Date(new Date(to).getTime() + MAX_SAMPLE_GAP * 1000);
+  return [
+    { $match: { deviceId, ts: { $gte: from, $lt: ahead } } },
+    { $setWindowFields: { sortBy: { ts: 1 }, output: { next: { $shift: { output: "$ts", by: 1 } } } } },
+    { $match: { ts: { $lt: to } } },
+    { $set: { dt: { $min: [MAX_SAMPLE_GAP, { $divide: [{ $subtract: [{ $ifNull: ["$next", "$ts"] }, "$ts"] }, 1000] }] } } }
+  ];
+}
+
+// Valores por canal del documento: `values` o, en datos anteriores, s1..s4
+const legacyValues = ()=> ({
+  $ifNull: ["$values", Object.fromEntries(LEGACY_KEYS.map(k => [k, `$${k}`]))]
+});
+
+// Campos del $group: "pv" y un alias por canal (las claves no se usan como
+// nombres de campo intermedios)
+const statFields = (keys)=> [["pv", "pv"], ...keys.map((k, i) => [`c${i}`, `v.${k}`])];
+
+// Inicio del intervalo (ms epoch) de una fecha
+const bucketOf = (field, ms)=> ({
+  $subtract: [{ $toLong: field }, { $mod: [{ $toLong: field }, ms] }]
+});
+
+// Número válido o null: NaN ordena por debajo de todo número en BSON
+const finiteOrNull = (f)=> ({ $cond: [{ $gte: [`$${f}`, -1e308] }, `$${f}`, null] });
+const finiteFlag = (f)=> ({ $cond: [{ $gte: [`$${f}`, -1e308] }, 1, 0] });
+// Booleano -> 1/0 (x escala); sin dato -> null, que $avg / $sum ignoran
+const flag = (f, x = 1)=> ({ $cond: [{ $eq: [{ $type: f }, "bool"] }, { $cond: [f, x, 0] }, null] });
+
+function projectPoint(keys){
+  const stat = (a)=> ({ min: `$${a}_min`, max: `$${a}_max`, avg: `$${a}_avg`, n: `$${a}_n` });
+  return {
+    _id: 0, t: { $toDate: "$_id" }, count: 1, sp: 1, dutyR1: 1, dutyR2: 1, onSecR1: 1, onSecR2: 1,
+    pv: stat("pv"),
+    values: Object.fromEntries(keys.map((k, i) => [
+      k, { $cond: [{ $gt: [`$c${i}_n`, 0] }, stat(`c${i}`), "$$REMOVE"] }
+    ]))
+  };
+}
+
+// Lecturas crudas (rawSampleStages) -> puntos de `ms` milisegundos
+export function rawGroupStages(ms, keys = LEGACY_KEYS){
+  const group = {
+    _id: "$b", count: { $sum: 1 },
+    sp: { $avg: finiteOrNull("sp") },
+    dutyR1: { $avg: flag("$desiredR1", 100) },
+    dutyR2: { $avg: flag("$desiredR2", 100) },
+    onSecR1: { $sum: { $multiply: ["$dt", flag({ $ifNull: ["$r1", "$desiredR1"] })] } },
+    onSecR2: { $sum: { $multiply: ["$dt", flag({ $ifNull: ["$r2", "$desiredR2"] })] } }
+  };
+  for (const [a, f] of statFields(keys)) {
+    group[`${a}_min`] = { $min: finiteOrNull(f) };
+    group[`${a}_max`] = { $max: finiteOrNull(f) };
+    group[`${a}_avg`] = { $avg: finiteOrNull(f) };
+    group[`${a}_n`]   = { $sum: finiteFlag(f) };
+  }
+  return [
+    { $set: { b: bucketOf("$ts", ms), v: legacyValues() } },
+    { $group: group },
+    { $project: projectPoint(keys) },
+    { $sort: { t: 1 } }
+  ];
+}
+
+// Puntos agregados (rollups) -> puntos más gruesos, con promedios ponderados
+export function rollupGroupStages(ms, keys = LEGACY_KEYS){
+  const weighted = (f, w)=> ({ $sum: { $multiply: [{ $ifNull: [f, 0] }, w] } });
+  const group = {
+    _id: "$b", count: { $sum: "$count" },
+    spSum: weighted("$sp", "$count"),
+    spN: { $sum: { $cond: [{ $ne: [{ $ifNull: ["$sp", null] }, null] }, "$count", 0] } },
+    d1Sum: weighted("$dutyR1", "$count"),
+    d2Sum: weighted("$dutyR2", "$count"),
+    onSecR1: { $sum: "$onSecR1" },
+    onSecR2: { $sum: "$onSecR2" }
+  };
+  for (const [a, f] of statFields(keys)) {
+    group[`${a}_min`] = { $min: `$${f}.min` };
+    group[`${a}_max`] = { $max: `$${f}.max` };
+    group[`${a}_sum`] = weighted(`$${f}.avg`, { $ifNull: [`$${f}.n`, 0] });
+    group[`${a}_n`]   = { $sum: { $ifNull: [`$${f}.n`, 0] } };
+  }
+  const ratio = (num, den)=> ({ $cond: [{ $gt: [den, 0] }, { $divide: [num, den] }, null] });
+  const set = {
+    sp: ratio("$spSum", "$spN"),
+    dutyR1: ratio("$d1Sum", "$count"),
+    dutyR2: ratio("$d2Sum", "$count")
+  };
+  for (const [a] of statFields(keys)) set[`${a}_avg`] = ratio(`$${a}_sum`, `$${a}_n`);
+  return [
+    { $set: { b: bucketOf("$t", ms), v: legacyValues() } },
+    { $group: group },
+    { $set: set },
+    { $project: projectPoint(keys) },
+    { $sort: { t: 1 } }
+  ];
+}
+
+// Une dos puntos del mismo intervalo (borde entre rollups y datos crudos)
+export function mergePoints(a, b){
+  const w = (x, y, wx, wy)=> {
+    if (x == null) return y ?? null;
+    if (y == null) return x;
+    return wx + wy > 0 ? (x*wx + y*wy) / (wx + wy) : null;
+  };
+  const out = {
+    t: a.t, count: a.count + b.count,
+    sp: w(a.sp, b.sp, a.count, b.count),
+    dutyR1: w(a.dutyR1, b.dutyR1, a.count, b.count),
+    dutyR2: w(a.dutyR2, b.dutyR2, a.count, b.count),
+    onSecR1: (a.onSecR1 || 0) + (b.onSecR1 || 0),
+    onSecR2: (a.onSecR2 || 0) + (b.onSecR2 || 0)
+  };
+  const stat = (x = {}, y = {})=> {
+    const mins = [x.min, y.min].filter(v => v != null);
+    const maxs = [x.max, y.max].filter(v => v != null);
+    return {
+      min: mins.length ? Math.min(...mins) : null,
+      max: maxs.length ? Math.max(...maxs) : null,
+      avg: w(x.avg, y.avg, x.n || 0, y.n || 0),
+      n: (x.n || 0) + (y.n || 0)
+    };
+  };
+  out.pv = stat(a.pv, b.pv);
+  const keys = new Set([...Object.keys(a.values || {}), ...Object.keys(b.values || {})]);
+  out.values = Object.fromEntries([...keys].map(k => [k, stat(a.values?.[k], b.values?.[k])]));
+  return out;
+}
+
+export const floorTo = (date, ms)=> new Date(Math.floor(new Date(date).getTime() / ms) * ms);
@@ -0,0 +1,79 @@
+// lib/safety.js
+// Enclavamientos de seguridad (sin dependencias de Mongo)
+
+export const INTERLOCK_TYPES = ["overtemp", "maxOnTime", "stale", "minOffTime"];
+
+// Tipos que quedan enclavados hasta que un admin los resetea
+export const LATCHING = ["overtemp", "maxOnTime", "stale"];
+
+const secs = (a, b)=> (new Date(a) - new Date(b)) / 1000;
+
+// Aplica los límites sobre la decisión del lazo.
+//   safety:  { maxTemp, maxOnTime, minOffTime, staleTimeout } (0 = desactivado)
+//   state:   { lastValidAt, onSince: {r1,r2}, offSince: {r1,r2} }
+//   wasOn:   { r1, r2 } estado deseado anterior
+//   desired: { r1, r2 } decisión del lazo / modo manual
+//   latched: hay disparos activos sin resetear
+//   maxTemp: máxima lectura válida de los sensores
+// Devuelve { desired, trips: [{type, relay?, value, limit}], inhibits: {r1: until} }
+export function evaluateSafety({ safety = {}, state = {}, wasOn, desired, latched, maxTemp, at }){
+  const out = { ...desired };
+  const trips = [];
+  const inhibits = {};
+  const anyWasOn = Object.values(wasOn).some(Boolean);
+
+  // Datos viejos: solo es peligroso si el calentador estaba encendido
+  if (safety.staleTimeout > 0 && state.lastValidAt && anyWasOn) {
+    const gap = secs(at, state.lastValidAt);
+    if (gap > safety.staleTimeout) {
+      trips.push({ type: "stale", value: gap, limit: safety.staleTimeout });
+    }
+  }
+
+  if (safety.maxTemp > 0 && Number.isFinite(maxTemp) && maxTemp > safety.maxTemp) {
+    trips.push({ type: "overtemp", value: maxTemp, limit: safety.maxTemp });
+  }
+
+  if (safety.maxOnTime > 0) {
+    for (const relay of Object.keys(out)) {
+      const since = state.onSince?.[relay];
+      if (!out[relay] || !wasOn[relay] || !since) continue;
+      const onFor = secs(at, since);
+      if (onFor > safety.maxOnTime) {
+        trips.push({ type: "maxOnTime", relay, value: onFor, limit: safety.maxOnTime });
+      }
+    }
+  }
+
+  // Cualquier enclavamiento apaga todo el calentamiento
+  if (latched || trips.length) {
+    for (const relay of Object.keys(out)) out[relay] = false;
+    return { desired: out, trips, inhibits };
+  }
+
+  // Anti ciclo corto: no reencender antes de minOffTime
+  if (safety.minOffTime > 0) {
+    for (const relay of Object.keys(out)) {
+      const since = state.offSince?.[relay];
+      if (!out[relay] || wasOn[relay] || !since) continue;
+      const offFor = secs(at, since);
+      if (offFor < safety.minOffTime) {
+        out[relay] = false;
+        inhibits[relay] = new Date(new Date(since).getTime() + safety.minOffTime * 1000);
+      }
+    }
+  }
+
+  return { desired: out, trips, inhibits };
+}
+
+// Próximo estado de tiempos de encendido/apagado
+export function nextRelayTimes(state = {}, wasOn, desired, at){
+  const onSince  = { ...(state.onSince  || {}) };
+  const offSince = { ...(state.offSince || {}) };
+  for (const relay of Object.keys(desired)) {
+    if (desired[relay] && (!wasOn[relay] || !onSince[relay])) onSince[relay] = at;
+    if (!desired[relay] && (wasOn[relay] || !offSince[relay])) offSince[relay] = at;
+  }
+  return { onSince, offSince };
+}
@@ -0,0 +1,18 @@
+// lib/tokens.js
+// Tokens de dispositivo: generados por el servidor, guardados como hash.
+// Son aleatorios de 192 bits, así que basta SHA-256 (búsqueda directa por hash).
+
+import crypto from "node:crypto";
+
+export const generateToken = ()=> crypto.randomBytes(24).toString("base64url");
+
+export const hashToken = (token)=> crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Primeros caracteres para reconocer el token en listados sin exponerlo
+export const tokenPrefix = (token)=> String(token).slice(0, 6);
+
+// Filtro Mongo: token vigente o el anterior dentro del período de gracia
+export function tokenQuery(token, now = new Date()){
+  const h = hashToken(token);
+  return { $or: [{ tokenHash: h }, { prevTokenHash: h, prevTokenExpiresAt: { $gt: now } }] };
+}
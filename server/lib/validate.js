@@ -0,0 +1,56 @@
+// lib/validate.js
+// Validación de body / query / params con esquemas zod. El resultado ya
+// convertido (números, fechas, defaults) reemplaza a req.body / req.query.
+
+import { z } from "zod";
+import { fail } from "./errors.js";
+
+export { z };
+
+// Detalle uniforme de los errores de zod: [{ in, path, message }]
+export function issues(error, where){
+  return error.issues.map(i => ({ in: where, path: i.path.join("."), message: i.message }));
+}
+
+// Validación fuera de Express (MQTT, lotes): { data } o { details }
+export function check(schema, value, where = "body"){
+  const r = schema.safeParse(value ?? {});
+  return r.success ? { data: r.data } : { details: issues(r.error, where) };
+}
+
+export function validate({ body, query, params } = {}){
+  return (req, res, next)=>{
+    const details = [];
+    const parts = { body, query, params };
+    const out = {};
+    for (const [where, schema] of Object.entries(parts)) {
+      if (!schema) continue;
+      const r = check(schema, req[where], where);
+      if (r.details) details.push(...r.details);
+      else out[where] = r.data;
+    }
+    if (details.length) return fail(res, 400, "Validación fallida", "VALIDATION", details);
+    for (const [where, data] of Object.entries(out)) {
+      // req.query es un getter en algunas versiones: se define como propiedad propia
+      Object.defineProperty(req, where, { value: data, writable: true, configurable: true, enumerable: true });
+    }
+    next();
+  };
+}
+
+/* --------------------------- Piezas comunes --------------------------- */
+export const zDeviceId = z.string().trim().min(1).max(64);
+export const zObjectId = z.string().regex(/^[a-f\d]{24}$/i, "id inválido");
+
+// Fecha de query (ISO o ms epoch). Epoch solo con 10+ dígitos: "2024" sigue
+// siendo el año, no 2 s después de 1970.
+export const zDate = z.union([
+  z.string().regex(/^\d{10,}$/).transform(Number),
+  z.string()
+]).transform(v => new Date(v)).refine(d => !Number.isNaN(d.getTime()), "fecha inválida");
+
+// Tamaño de página de query con tope
+export const zLimit = (def, max)=> z.coerce.number().int().min(1).max(max).default(def);
+
+// "true"/"false" de query
+export const zFlag = z.enum(["true", "false"]).transform(v => v === "true");
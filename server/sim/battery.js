@@ -0,0 +1,97 @@
+// sim/battery.js
+// Modelo térmico de la batería de arena para el simulador (sin red ni Mongo).
+// Dos nodos: zona junto a los calefactores (capacidad chica) y el lecho.
+// Los calefactores calientan la zona, la zona cede al lecho y el lecho
+// pierde hacia el ambiente. Potencias en kW, masa en kg, cp en kJ/(kg·K).
+
+export const SENSORS = ["s1", "s2", "s3", "s4"];
+export const FAULT_TYPES = ["open", "stuck", "drift", "spike"];
+
+// PRNG determinista (mulberry32) para poder repetir una corrida con la misma semilla
+export function rng(seed = 1){
+  let a = seed >>> 0;
+  return ()=>{
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Ruido gaussiano (Box-Muller)
+const gauss = (rand)=> Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+
+// "s3:open@300", "s1:drift@60=0.05", "s2:stuck@120-600" -> falla
+//   tipo@desde[-hasta][=valor] (segundos de simulación)
+export function parseFault(str){
+  const m = /^(s\d):(\w+)@(\d+(?:\.\d+)?)(?:-(\d+(?:\.\d+)?))?(?:=(-?\d+(?:\.\d+)?))?$/.exec(String(str).trim());
+  if (!m || !SENSORS.includes(m[1]) || !FAULT_TYPES.includes(m[2])) throw new Error(`falla inválida: ${str}`);
+  const fault = { sensor: m[1], type: m[2], at: Number(m[3]) };
+  if (m[4] !== undefined) fault.until = Number(m[4]);
+  if (m[5] !== undefined) fault.value = Number(m[5]);
+  return fault;
+}
+
+// opts (todas opcionales):
+//   massKg, cp, powerR1, powerR2 (kW), lossWK (W/K lecho -> ambiente),
+//   couplingWK (W/K zona -> lecho), zoneFraction (capacidad de la zona / lecho),
+//   ambient, t0 (°C), mix { s1..s4: 0 = lecho ... 1 = zona }, offset { s1..s4 },
+//   noise (σ en °C), faults [{ sensor, type, at, until?, value? }], seed
+export function createBattery(opts = {}){
+  const o = {
+    massKg: 200, cp: 0.835, powerR1: 3, powerR2: 3, lossWK: 15, couplingWK: 400,
+    zoneFraction: 0.05, ambient: 20, noise: 0.2, seed: 1,
+    ...opts,
+    mix: { s1: 0.7, s2: 0.4, s3: 0.2, s4: 0.05, ...opts.mix },
+    offset: { s1: 0, s2: 0, s3: 0, s4: 0, ...opts.offset },
+    faults: [...(opts.faults || [])]
+  };
+  const rand = rng(o.seed);
+  const bedC = o.massKg * o.cp * 1000;          // J/K
+  const zoneC = bedC * o.zoneFraction;
+  let bed = o.t0 ?? o.ambient, zone = bed, time = 0;
+  const frozen = new Map();                     // falla "stuck" -> valor congelado
+
+  const active = (f)=> time >= f.at && (f.until === undefined || time < f.until);
+
+  return {
+    get time(){ return time; },
+    get bed(){ return bed; },
+    get zone(){ return zone; },
+
+    // Avanza dt segundos con los relés dados (pasos de 1 s para estabilidad)
+    step(dt, relays = {}){
+      const heat = ((relays.r1 ? o.powerR1 : 0) + (relays.r2 ? o.powerR2 : 0)) * 1000;
+      for (let left = dt; left > 0; left -= 1) {
+        const h = Math.min(1, left);
+        const flow = o.couplingWK * (zone - bed);
+        zone += (heat - flow) * h / zoneC;
+        bed += (flow - o.lossWK * (bed - o.ambient)) * h / bedC;
+        time += h;
+      }
+    },
+
+    // Lectura de las termocuplas: mezcla zona/lecho + offset + ruido + fallas.
+    // Termocupla abierta -> null (como el firmware).
+    read(){
+      const out = {};
+      for (const k of SENSORS) {
+        let v = o.mix[k] * zone + (1 - o.mix[k]) * bed + o.offset[k] + gauss(rand) * o.noise;
+        for (const f of o.faults.filter(f => f.sensor === k)) {
+          if (!active(f)) { frozen.delete(f); continue; }
+          if (f.type === "open") v = null;
+          else if (f.type === "stuck") {
+            if (!frozen.has(f)) frozen.set(f, f.value ?? v);
+            v = frozen.get(f);
+          } else if (f.type === "drift") v += (f.value ?? 0.05) * (time - f.at);
+          else if (f.type === "spike" && rand() < 0.1) v += f.value ?? 500;
+        }
+        out[k] = v === null ? null : Math.round(v * 100) / 100;
+      }
+      return out;
+    },
+
+    addFault(fault){ o.faults.push(fault); }
+  };
+}
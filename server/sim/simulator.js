@@ -0,0 +1,103 @@
+// sim/simulator.js
+// Simulador de uno o más Heltec contra /api/thermo/push: cada dispositivo
+// tiene su propia batería (sim/battery.js), manda las 4 termocuplas y el
+// estado físico de los relés, y aplica los relés deseados que devuelve el
+// backend, igual que el firmware.
+//
+// Uso:
+//   node sim/simulator.js --url http://localhost:4000 \
+//     --device heltec-sim-01:<token> [--device heltec-sim-02:<token>] \
+//     [--interval 1] [--speed 1] [--seed 1] [--mass 200] [--power 3] \
+//     [--ambient 20] [--noise 0.2] [--fault s3:open@300] [--steps N]
+//
+// --speed > 1 acelera el modelo (interval * speed segundos simulados por
+// push) y manda ts simulados; conviene usarlo contra una base de prueba.
+import { parseArgs } from "node:util";
+import { pathToFileURL } from "node:url";
+import { createBattery, parseFault } from "./battery.js";
+
+// Dispositivo simulado. start/ts: si se da `start` (ms epoch) cada push lleva
+// ts = start + tiempo simulado; si no, el backend usa su hora.
+export function createSimDevice({ url, deviceId, token, battery = createBattery(), start, fw = "sim-1.0" }){
+  const relays = { r1: false, r2: false };
+  let seq = 0;
+
+  return {
+    deviceId, battery, relays,
+
+    async push(){
+      const body = { seq: seq++, ...battery.read(), r1: relays.r1, r2: relays.r2, fw };
+      if (start !== undefined) body.ts = new Date(start + battery.time * 1000).toISOString();
+      const res = await fetch(`${url}/api/thermo/push`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-device-token": token, "x-firmware-version": fw },
+        body: JSON.stringify(body)
+      });
+      const js = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(`${deviceId}: HTTP ${res.status} ${js?.error || ""}`.trim());
+      // El relé "físico" sigue a lo comandado desde el próximo paso
+      if (js?.desired) Object.assign(relays, { r1: !!js.desired.r1, r2: !!js.desired.r2 });
+      return { sent: body, response: js };
+    },
+
+    // Avanza el modelo dt segundos y hace un push
+    async tick(dt){
+      battery.step(dt, relays);
+      return this.push();
+    }
+  };
+}
+
+async function main(){
+  const { values } = parseArgs({
+    options: {
+      url: { type: "string", default: process.env.SIM_URL || "http://localhost:4000" },
+      device: { type: "string", multiple: true, default: process.env.SIM_DEVICE ? [process.env.SIM_DEVICE] : [] },
+      interval: { type: "string", default: "1" },
+      speed: { type: "string", default: "1" },
+      seed: { type: "string", default: "1" },
+      mass: { type: "string" },
+      power: { type: "string" },
+      ambient: { type: "string" },
+      noise: { type: "string" },
+      fault: { type: "string", multiple: true, default: [] },
+      steps: { type: "string" }
+    }
+  });
+  if (!values.device.length) {
+    console.error("Falta --device <deviceId>:<token> (ver encabezado de sim/simulator.js)");
+    process.exit(1);
+  }
+  const interval = Number(values.interval), speed = Number(values.speed);
+  const num = (v)=> v === undefined ? undefined : Number(v);
+  const faults = values.fault.map(parseFault);
+  const start = speed > 1 ? Date.now() : undefined;
+
+  const devices = values.device.map((spec, i)=>{
+    const [deviceId, token] = spec.split(":");
+    const opts = { seed: Number(values.seed) + i, faults, massKg: num(values.mass), ambient: num(values.ambient), noise: num(values.noise) };
+    if (values.power) opts.powerR1 = opts.powerR2 = Number(values.power);
+    for (const k of Object.keys(opts)) if (opts[k] === undefined) delete opts[k];
+    return createSimDevice({ url: values.url, deviceId, token, battery: createBattery(opts), start });
+  });
+
+  console.log(`🔥 Simulando ${devices.length} dispositivo(s) contra ${values.url} (cada ${interval} s, x${speed})`);
+  let n = 0;
+  const limit = num(values.steps);
+  const timer = setInterval(async ()=>{
+    await Promise.all(devices.map(async d => {
+      try {
+        const { response } = await d.tick(interval * speed);
+        if (n % 10 === 0) {
+          console.log(`${d.deviceId} t=${d.battery.time}s lecho=${d.battery.bed.toFixed(1)}°C ` +
+            `pv=${response.pv?.toFixed?.(1) ?? "--"} r1=${d.relays.r1 ? "ON" : "OFF"} r2=${d.relays.r2 ? "ON" : "OFF"}`);
+        }
+      } catch (err) {
+        console.error(err.message);
+      }
+    }));
+    if (++n === limit) clearInterval(timer);
+  }, interval * 1000);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
@@ -0,0 +1,142 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, clearDb, seedAdmin, createUser, createDevice, pushPv, ADMIN } from "./helpers.js";
+
+describe("auth", ()=>{
+  let srv, api;
+  before(async ()=>{ srv = await startServer(); api = srv.api; });
+  after(()=> srv?.stop());
+  beforeEach(()=> clearDb());
+
+  it("seed crea el primer admin y luego queda deshabilitado", async ()=>{
+    assert.equal((await api.post("/api/seed/admin", { body: ADMIN })).status, 200);
+    const again = await api.post("/api/seed/admin", { body: { email: "otro@test.local", password: "x" } });
+    assert.equal(again.status, 403);
+  });
+
+  it("seed concurrente crea un solo admin", async ()=>{
+    const calls = ["a", "b", "c"].map(x => api.post("/api/seed/admin", { body: { email: `${x}@test.local`, password: "x" } }));
+    const status = (await Promise.all(calls)).map(r => r.status).sort();
+    assert.deepEqual(status, [200, 403, 403]);
+  });
+
+  it("login limitado por cuenta: intentos fallidos contra un mismo email", async ()=>{
+    const admin = await seedAdmin(api);
+    await createUser(api, admin, { email: "b@test.local" });
+    const attempt = (password)=> api.post("/api/auth/login", { body: { email: "b@test.local", password } });
+    for (let i = 0; i < 10; i++) assert.equal((await attempt("nope")).status, 401);
+    const blocked = await attempt("user-password");
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.code, "RATE_LIMITED");
+    // Otras cuentas siguen entrando
+    assert.equal((await api.post("/api/auth/login", { body: ADMIN })).status, 200);
+  });
+
+  it("login: credenciales malas -> 401, buenas -> access + refresh token", async ()=>{
+    await seedAdmin(api);
+    const bad = await api.post("/api/auth/login", { body: { email: ADMIN.email, password: "nope" } });
+    assert.equal(bad.status, 401);
+    assert.equal(bad.body.ok, false);
+    assert.equal(bad.body.code, "UNAUTHORIZED");
+
+    const ok = await api.post("/api/auth/login", { body: ADMIN });
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.token);
+    assert.ok(ok.body.refreshToken);
+    assert.equal(ok.body.role, "admin");
+  });
+
+  it("body inválido -> 400 VALIDATION con detalle por campo", async ()=>{
+    const r = await api.post("/api/auth/login", { body: { email: ADMIN.email } });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.code, "VALIDATION");
+    assert.ok(r.body.details.some(d => d.in === "body" && d.path === "password"));
+  });
+
+  it("rutas protegidas exigen un token válido", async ()=>{
+    const token = await seedAdmin(api);
+    assert.equal((await api.get("/api/auth/me")).status, 401);
+    assert.equal((await api.get("/api/auth/me", { token: "basura" })).status, 401);
+    const me = await api.get("/api/auth/me", { token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.email, ADMIN.email);
+    assert.equal(me.body.access, "all");
+  });
+
+  it("refresh rota el token y el anterior deja de valer", async ()=>{
+    await seedAdmin(api);
+    const { body: s } = await api.post("/api/auth/login", { body: ADMIN });
+    const r1 = await api.post("/api/auth/refresh", { body: { refreshToken: s.refreshToken } });
+    assert.equal(r1.status, 200);
+    assert.notEqual(r1.body.refreshToken, s.refreshToken);
+    assert.equal((await api.post("/api/auth/refresh", { body: { refreshToken: s.refreshToken } })).status, 401);
+    assert.equal((await api.post("/api/auth/refresh", { body: { refreshToken: r1.body.refreshToken } })).status, 200);
+  });
+
+  it("logout revoca la sesión", async ()=>{
+    await seedAdmin(api);
+    const { body: s } = await api.post("/api/auth/login", { body: ADMIN });
+    assert.equal((await api.post("/api/auth/logout", { token: s.token, body: { refreshToken: s.refreshToken } })).status, 200);
+    assert.equal((await api.get("/api/auth/me", { token: s.token })).status, 401);
+    assert.equal((await api.post("/api/auth/refresh", { body: { refreshToken: s.refreshToken } })).status, 401);
+  });
+
+  it("canal en vivo: solo con ticket, y el logout corta el stream", async ()=>{
+    const token = await seedAdmin(api);
+    await createDevice(api, token, "dev-l");
+    assert.equal((await fetch(`${srv.url}/api/live/dev-l?token=${token}`)).status, 401);
+    const { body: { ticket } } = await api.post("/api/live/dev-l/ticket", { token });
+    // El ticket no sirve como access token ni para otro dispositivo
+    assert.equal((await api.get("/api/auth/me", { token: ticket })).status, 401);
+    assert.equal((await fetch(`${srv.url}/api/live/otro?ticket=${ticket}`)).status, 401);
+
+    const live = await fetch(`${srv.url}/api/live/dev-l?ticket=${ticket}`);
+    assert.equal(live.status, 200);
+    const reader = live.body.getReader();
+    await reader.read();
+    await api.post("/api/auth/logout", { token, body: {} });
+    let done = false;
+    while (!done) ({ done } = await reader.read());
+  });
+
+  it("roles y acceso por dispositivo", async ()=>{
+    const admin = await seedAdmin(api);
+    await createDevice(api, admin, "dev-a");
+    await createDevice(api, admin, "dev-b");
+    const viewer = await createUser(api, admin, { email: "viewer@test.local", role: "viewer", devices: ["dev-a"] });
+
+    assert.equal((await api.get("/api/status/dev-a", { token: viewer })).status, 200);
+    assert.equal((await api.get("/api/status/dev-b", { token: viewer })).status, 403);
+    assert.equal((await api.patch("/api/config/dev-a", { token: viewer, body: { sp: 70 } })).status, 403);
+    assert.equal((await api.get("/api/users", { token: viewer })).status, 403);
+
+    const list = await api.get("/api/devices", { token: viewer });
+    assert.deepEqual(list.body.map(d => d.deviceId), ["dev-a"]);
+  });
+
+  it("push del dispositivo: sin token 401, token ajeno 403, deshabilitado 403", async ()=>{
+    const admin = await seedAdmin(api);
+    const tok = await createDevice(api, admin, "dev-a");
+    assert.equal((await api.post("/api/thermo/push", { body: { s1: 20 } })).status, 401);
+    assert.equal((await pushPv(api, "no-es-un-token", 20)).status, 403);
+    assert.equal((await pushPv(api, tok, 20)).status, 200);
+
+    await api.patch("/api/devices/dev-a", { token: admin, body: { enabled: false } });
+    assert.equal((await pushPv(api, tok, 20)).status, 403);
+  });
+
+  it("rotación de token sin gracia invalida el anterior", async ()=>{
+    const admin = await seedAdmin(api);
+    const old = await createDevice(api, admin, "dev-a");
+    const r = await api.post("/api/devices/dev-a/rotate", { token: admin, body: { graceSeconds: 0 } });
+    assert.equal(r.status, 200);
+    assert.equal((await pushPv(api, old, 20)).status, 403);
+    assert.equal((await pushPv(api, r.body.token, 20)).status, 200);
+  });
+
+  it("ruta inexistente -> 404 ROUTE_NOT_FOUND", async ()=>{
+    const r = await api.get("/api/nada");
+    assert.equal(r.status, 404);
+    assert.equal(r.body.code, "ROUTE_NOT_FOUND");
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createBattery, parseFault } from "../sim/battery.js";
+
+describe("modelo térmico del simulador", ()=>{
+  it("calienta con los relés encendidos y se enfría hacia el ambiente", ()=>{
+    const b = createBattery({ noise: 0 });
+    b.step(600, { r1: true, r2: true });
+    const hot = b.bed;
+    assert.ok(hot > 30, `lecho ${hot}`);
+    assert.ok(b.zone > b.bed);
+    b.step(36000, {});
+    assert.ok(b.bed < hot);
+    assert.ok(b.bed > 20);
+  });
+
+  it("un relé calienta la mitad que dos", ()=>{
+    const one = createBattery({ noise: 0 }), two = createBattery({ noise: 0 });
+    one.step(300, { r1: true });
+    two.step(300, { r1: true, r2: true });
+    const r = (two.bed - 20) / (one.bed - 20);
+    assert.ok(Math.abs(r - 2) < 0.05, `relación ${r}`);
+  });
+
+  it("sensores cerca del calefactor leen más alto mientras calienta", ()=>{
+    const b = createBattery({ noise: 0 });
+    b.step(120, { r1: true, r2: true });
+    const r = b.read();
+    assert.ok(r.s1 > r.s2 && r.s2 > r.s3 && r.s3 > r.s4);
+  });
+
+  it("misma semilla, mismas lecturas", ()=>{
+    const a = createBattery({ seed: 3 }), b = createBattery({ seed: 3 });
+    assert.deepEqual(a.read(), b.read());
+    assert.notDeepEqual(a.read(), createBattery({ seed: 4 }).read());
+  });
+
+  it("fallas: abierta, pegada y deriva por ventana de tiempo", ()=>{
+    const b = createBattery({
+      noise: 0,
+      faults: ["s1:open@10-20", "s2:stuck@10", "s3:drift@10=1"].map(parseFault)
+    });
+    const before = b.read();
+    assert.notEqual(before.s1, null);
+    b.step(10, { r1: true });
+    const atFault = b.read();
+    b.step(5, { r1: true });
+    const r = b.read();
+    assert.equal(r.s1, null);
+    assert.equal(r.s2, atFault.s2);
+    // s3 = 20 % zona + 80 % lecho, más 1 °C/s desde t = 10
+    assert.ok(Math.abs(r.s3 - (0.2 * b.zone + 0.8 * b.bed) - 5) < 0.01);
+    b.step(10, {});
+    assert.notEqual(b.read().s1, null);
+  });
+
+  it("parseFault rechaza especificaciones inválidas", ()=>{
+    assert.deepEqual(parseFault("s2:stuck@120-600=80"), { sensor: "s2", type: "stuck", at: 120, until: 600, value: 80 });
+    assert.throws(()=> parseFault("s9:open@1"));
+    assert.throws(()=> parseFault("s1:melt@1"));
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { startServer, clearDb, seedAdmin, createDevice } from "./helpers.js";
+import { channelsOf, channelValues, pvKeys, readingValues } from "../lib/channels.js";
+
+// Tablero de 2 termocuplas + 1 humedad, con calibración en t2
+const BOARD = [
+  { key: "t1", label: "Arriba", type: "thermocouple" },
+  { key: "t2", label: "Abajo", type: "pt100", offset: -1, gain: 2 },
+  { key: "rh", label: "Humedad", unit: "%", type: "humidity" }
+];
+
+describe("canales (lib)", ()=>{
+  it("sin canales definidos: s1..s4 en °C", ()=>{
+    const ch = channelsOf({});
+    assert.deepEqual(ch.map(c => c.key), ["s1", "s2", "s3", "s4"]);
+    assert.ok(ch.every(c => c.unit === "°C" && c.gain === 1 && c.offset === 0 && c.color));
+  });
+
+  it("calibra, acepta values agrupados y null = sensor abierto", ()=>{
+    const ch = channelsOf({ channels: BOARD });
+    assert.deepEqual(channelValues(ch, { t1: 20, values: { t2: 10, rh: "nan" } }), { t1: 20, t2: 19, rh: null });
+  });
+
+  it("el PV sale de los canales de temperatura salvo que se elijan sensores", ()=>{
+    assert.deepEqual(pvKeys({ channels: BOARD }), ["t1", "t2"]);
+    assert.deepEqual(pvKeys({ channels: BOARD, pv: { sensors: ["t2"] } }), ["t2"]);
+  });
+
+  it("lee lecturas nuevas y del formato s1..s4", ()=>{
+    assert.deepEqual(readingValues({ values: new Map([["t1", 5]]) }), { t1: 5 });
+    assert.deepEqual(readingValues({ s1: 1, s2: null, pv: 1 }), { s1: 1, s2: null });
+  });
+});
+
+describe("canales (API)", ()=>{
+  let srv, api, admin, dev;
+  before(async ()=>{ srv = await startServer(); api = srv.api; });
+  after(()=> srv?.stop());
+  beforeEach(async ()=>{
+    await clearDb();
+    admin = await seedAdmin(api);
+    dev = await createDevice(api, admin, "dev-ch");
+  });
+
+  const configure = (body)=> api.patch("/api/config/dev-ch", { token: admin, body });
+
+  it("push con canales propios: calibración y PV sin la humedad", async ()=>{
+    assert.equal((await configure({ channels: BOARD })).status, 200);
+    const r = await api.post("/api/thermo/push", { device: dev, body: { t1: 50, t2: 30, rh: 40 } });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    assert.equal(r.body.pv, (50 + 59) / 2);
+
+    const st = await api.get("/api/status/dev-ch", { token: admin });
+    assert.deepEqual(st.body.last.values, { t1: 50, t2: 59, rh: 40 });
+    assert.deepEqual(st.body.channels.map(c => c.unit), ["°C", "°C", "%"]);
+  });
+
+  it("push sin ningún canal del dispositivo -> 400 VALIDATION", async ()=>{
+    await configure({ channels: BOARD });
+    const r = await api.post("/api/thermo/push", { device: dev, body: { s1: 50 } });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.code, "VALIDATION");
+  });
+
+  it("claves repetidas o reservadas y referencias a canales inexistentes -> 400", async ()=>{
+    for (const body of [
+      { channels: [{ key: "a" }, { key: "a" }] },
+      { channels: [{ key: "seq" }] },
+      { channels: BOARD, pv: { sensors: ["s1"] } },
+      { channels: [{ key: "t1" }], loops: { r2: { sensors: ["t2"] } } }
+    ]) {
+      const r = await configure(body);
+      assert.equal(r.status, 400, JSON.stringify(body));
+      assert.equal(r.body.code, "VALIDATION");
+    }
+  });
+
+  it("CSV e histórico con las columnas de los canales; s1..s4 antiguos siguen legibles", async ()=>{
+    const old = new Date(Date.now() - 120000);
+    await mongoose.connection.db.collection("readings").insertOne({
+      deviceId: "dev-ch", s1: 40, s2: 41, s3: 42, s4: null, pv: 41, sp: 60, ts: old
+    });
+    const csv = await api.get("/api/readings.csv?deviceId=dev-ch", { token: admin });
+    const [head, row] = csv.body.trim().split(/\r?\n/);
+    assert.equal(head, "ts,s1,s2,s3,s4,pv,desiredR1,desiredR2,sp,r1,r2,faults");
+    assert.ok(row.startsWith(`${old.toISOString()},40,41,42,,41,,,60`));
+
+    const h = await api.get("/api/history?deviceId=dev-ch&bucket=60", { token: admin });
+    assert.equal(h.body.points[0].values.s2.avg, 41);
+    assert.equal(h.body.points[0].values.s4, undefined);
+
+    await configure({ channels: BOARD });
+    await api.post("/api/thermo/push", { device: dev, body: { t1: 50, t2: 30, rh: 40 } });
+    const csv2 = await api.get("/api/readings.csv?deviceId=dev-ch", { token: admin });
+    assert.ok(csv2.body.startsWith("ts,t1,t2,rh,pv,"));
+  });
+});
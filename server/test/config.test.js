@@ -0,0 +1,108 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, clearDb, seedAdmin, createUser, createDevice } from "./helpers.js";
+
+describe("config", ()=>{
+  let srv, api, admin, dev;
+  before(async ()=>{ srv = await startServer(); api = srv.api; });
+  after(()=> srv?.stop());
+  beforeEach(async ()=>{
+    await clearDb();
+    admin = await seedAdmin(api);
+    dev = await createDevice(api, admin, "dev-c");
+  });
+
+  it("el alta del dispositivo crea la config por defecto", async ()=>{
+    const r = await api.get("/api/status/dev-c", { token: admin });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.sp, 60);
+    assert.equal(r.body.h, 2);
+    assert.equal(r.body.mode, "auto");
+    assert.deepEqual(r.body.relays, { r1: false, r2: false });
+  });
+
+  it("PATCH actualiza, acota valores y publica lo guardado", async ()=>{
+    const r = await api.patch("/api/config/dev-c", { token: admin, body: { sp: 5000, h: 3, mode: "pid" } });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.sp, 2000);
+    assert.equal(r.body.h, 3);
+    assert.equal(r.body.mode, "pid");
+
+    const st = await api.get("/api/thermo/status?deviceId=dev-c", { device: dev });
+    assert.equal(st.status, 200);
+    assert.equal(st.body.sp, 2000);
+  });
+
+  it("PATCH parcial de secciones anidadas conserva el resto", async ()=>{
+    await api.patch("/api/config/dev-c", { token: admin, body: { pid: { kp: 5 } } });
+    const r = await api.patch("/api/config/dev-c", { token: admin, body: { pid: { ki: 0.5 } } });
+    assert.equal(r.body.pid.kp, 5);
+    assert.equal(r.body.pid.ki, 0.5);
+    assert.equal(r.body.pid.cycle, 60);
+  });
+
+  it("tipos inválidos -> 400 VALIDATION sin tocar la config", async ()=>{
+    for (const body of [{ sp: "70" }, { h: -1 }, { mode: "turbo" }, { loops: { r1: { sensors: ["s9"] } } }]) {
+      const r = await api.patch("/api/config/dev-c", { token: admin, body });
+      assert.equal(r.status, 400, JSON.stringify(body));
+      assert.equal(r.body.code, "VALIDATION");
+      assert.ok(r.body.details.length);
+    }
+    const st = await api.get("/api/status/dev-c", { token: admin });
+    assert.equal(st.body.sp, 60);
+    assert.equal(st.body.mode, "auto");
+  });
+
+  it("la salida del PID no puede quedar invertida (contra lo guardado)", async ()=>{
+    const patch = (pid)=> api.patch("/api/config/dev-c", { token: admin, body: { pid } });
+    const both = await patch({ outMin: 80, outMax: 20 });
+    assert.equal(both.status, 400);
+    assert.equal(both.body.code, "VALIDATION");
+    assert.equal((await patch({ outMin: 80 })).status, 200);
+    const r = await patch({ outMax: 20 });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.details[0].path, "pid.outMax");
+    const st = await api.get("/api/status/dev-c", { token: admin });
+    assert.deepEqual([st.body.pidConfig.outMin, st.body.pidConfig.outMax], [80, 100]);
+  });
+
+  it("el rango de plausibilidad debe quedar con min < max", async ()=>{
+    const patch = (plausibility)=> api.patch("/api/config/dev-c", { token: admin, body: { plausibility } });
+    assert.equal((await patch({ min: 500, max: 500 })).status, 400);
+    const r = await patch({ min: 1400 });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.details[0].path, "plausibility.min");
+    assert.equal((await patch({ min: 0, max: 900 })).status, 200);
+    assert.equal((await patch({ max: -10 })).status, 400);
+  });
+
+  it("operador cambia SP pero no límites de seguridad ni retención", async ()=>{
+    const op = await createUser(api, admin, { email: "op@test.local", role: "operator", devices: ["dev-c"] });
+    assert.equal((await api.patch("/api/config/dev-c", { token: op, body: { sp: 80 } })).status, 200);
+    assert.equal((await api.patch("/api/config/dev-c", { token: op, body: { safety: { maxTemp: 700 } } })).status, 403);
+    assert.equal((await api.patch("/api/config/dev-c", { token: op, body: { retention: { rawDays: 1 } } })).status, 403);
+    assert.equal((await api.patch("/api/config/dev-c", { token: admin, body: { safety: { maxTemp: 700 } } })).status, 200);
+  });
+
+  it("cada cambio queda en la auditoría", async ()=>{
+    await api.patch("/api/config/dev-c", { token: admin, body: { sp: 75, mode: "manual" } });
+    const r = await api.get("/api/audit?deviceId=dev-c", { token: admin });
+    assert.equal(r.status, 200);
+    const update = r.body.find(a => a.action === "config.update");
+    const sp = update.changes.find(c => c.path === "sp");
+    assert.deepEqual([sp.from, sp.to], [60, 75]);
+    const mode = r.body.find(a => a.action === "mode.change");
+    assert.equal(mode.changes[0].to, "manual");
+  });
+
+  it("zona horaria del horario se valida", async ()=>{
+    const bad = await api.patch("/api/config/dev-c", { token: admin, body: { schedule: { timezone: "Marte/Olympus" } } });
+    assert.equal(bad.status, 400);
+    const ok = await api.patch("/api/config/dev-c", {
+      token: admin, body: { schedule: { timezone: "America/Santiago", entries: [{ days: [1], time: "08:00", sp: 90 }] } }
+    });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.schedule.timezone, "America/Santiago");
+    assert.equal(ok.body.schedule.entries[0].sp, 90);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, clearDb, seedAdmin, createUser, createDevice, pushPv } from "./helpers.js";
+
+describe("export CSV", ()=>{
+  let srv, api, admin, dev;
+  const t0 = Date.parse("2024-05-01T12:00:00Z");
+  const at = (i)=> new Date(t0 + i * 60000).toISOString();
+
+  before(async ()=>{ srv = await startServer(); api = srv.api; });
+  after(()=> srv?.stop());
+  beforeEach(async ()=>{
+    await clearDb();
+    admin = await seedAdmin(api);
+    dev = await createDevice(api, admin, "dev-x");
+    // 10 lecturas, una por minuto, PV subiendo de 50 a 59
+    for (let i = 0; i < 10; i++) await pushPv(api, dev, 50 + i, { ts: at(i), seq: i, r1: true });
+  });
+
+  const rows = (text)=> text.trim().split(/\r?\n/);
+
+  it("exporta todas las lecturas con encabezado y nombre de archivo", async ()=>{
+    const r = await api.get("/api/readings.csv?deviceId=dev-x", { token: admin });
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get("content-type"), /text\/csv/);
+    assert.match(r.headers.get("content-disposition"), /dev-x_readings\.csv/);
+    const [head, ...data] = rows(r.body);
+    // El encabezado histórico sigue intacto como prefijo; lo nuevo va al final
+    const cols = head.split(",");
+    assert.deepEqual(cols.slice(0, 8), ["ts", "s1", "s2", "s3", "s4", "pv", "desiredR1", "desiredR2"]);
+    assert.deepEqual(cols.slice(8), ["sp", "r1", "r2", "faults"]);
+    assert.equal(data.length, 10);
+    assert.ok(data[0].startsWith(`${at(0)},50,50,50,50,50,true,true,60,true`));
+  });
+
+  it("filtra por rango y limita", async ()=>{
+    const q = new URLSearchParams({ deviceId: "dev-x", from: at(2), to: at(5) });
+    const r = await api.get(`/api/readings.csv?${q}`, { token: admin });
+    assert.equal(rows(r.body).length, 1 + 4);
+
+    // Un año suelto sigue siendo el año (no ms epoch); epoch en ms sí se acepta
+    const year = await api.get("/api/readings.csv?deviceId=dev-x&from=2024&to=2025", { token: admin });
+    assert.equal(rows(year.body).length, 1 + 10);
+    const epoch = await api.get(`/api/readings.csv?deviceId=dev-x&from=${Date.parse(at(8))}`, { token: admin });
+    assert.equal(rows(epoch.body).length, 1 + 2);
+
+    const lim = await api.get("/api/readings.csv?deviceId=dev-x&limit=3", { token: admin });
+    assert.equal(rows(lim.body).length, 1 + 3);
+  });
+
+  it("parámetros inválidos -> 400 VALIDATION", async ()=>{
+    for (const qs of ["", "deviceId=dev-x&from=ayer", "deviceId=dev-x&limit=0"]) {
+      const r = await api.get(`/api/readings.csv?${qs}`, { token: admin });
+      assert.equal(r.status, 400, qs);
+      assert.equal(r.body.code, "VALIDATION");
+    }
+  });
+
+  it("exige acceso al dispositivo", async ()=>{
+    await createDevice(api, admin, "dev-y");
+    const viewer = await createUser(api, admin, { email: "v@test.local", devices: ["dev-y"] });
+    assert.equal((await api.get("/api/readings.csv?deviceId=dev-x")).status, 401);
+    assert.equal((await api.get("/api/readings.csv?deviceId=dev-x", { token: viewer })).status, 403);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, clearDb, seedAdmin, createUser, createDevice, pushPv } from "./helpers.js";
+import { formatTs, parseTs, csvLine } from "../lib/export.js";
+
+describe("formatos de exportación (lib)", ()=>{
+  const at = new Date("2024-07-01T12:00:00.250Z");
+
+  it("fechas ISO con el desfase de la zona y locales para Excel", ()=>{
+    assert.equal(formatTs(at), "2024-07-01T12:00:00.250Z");
+    assert.equal(formatTs(at, "America/Santiago"), "2024-07-01T08:00:00.250-04:00");
+    assert.equal(formatTs(at, "Europe/Madrid", true), "2024-07-01 14:00:00");
+  });
+
+  it("lee epoch, ISO y fechas locales en la zona indicada", ()=>{
+    const iso = "2024-07-01T12:00:00.000Z";
+    for (const v of [1719835200, "1719835200000", iso, "2024-07-01T08:00:00-04:00"]) {
+      assert.equal(parseTs(v).toISOString(), iso, String(v));
+    }
+    assert.equal(parseTs("2024-07-01 08:00:00", "America/Santiago").toISOString(), iso);
+    assert.equal(parseTs("ayer"), null);
+  });
+
+  it("CSV escapa separador, comillas y saltos", ()=>{
+    assert.equal(csvLine(["a;b", 'x"y', null, NaN, 3], ";"), '"a;b";"x""y";;;3\r\n');
+  });
+});
+
+describe("export / import", ()=>{
+  let srv, api, admin, dev;
+  const t0 = Date.parse("2024-05-01T12:00:00Z");
+  const at = (i)=> new Date(t0 + i * 60000).toISOString();
+
+  before(async ()=>{ srv = await startServer(); api = srv.api; });
+  after(()=> srv?.stop());
+  beforeEach(async ()=>{
+    await clearDb();
+    admin = await seedAdmin(api);
+    dev = await createDevice(api, admin, "dev-e");
+    // 10 lecturas, una por minuto, PV subiendo de 50 a 59
+    for (let i = 0; i < 10; i++) await pushPv(api, dev, 50 + i, { ts: at(i), seq: i });
+  });
+
+  const lines = (text)=> text.trim().split(/\r?\n/);
+  const exp = (qs)=> api.get(`/api/export/dev-e?${new URLSearchParams(qs)}`, { token: admin });
+
+  it("NDJSON con columnas elegidas", async ()=>{
+    const r = await exp({ format: "ndjson", columns: "ts,pv" });
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get("content-type"), /ndjson/);
+    const rows = lines(r.body).map(l => JSON.parse(l));
+    assert.equal(rows.length, 10);
+    assert.deepEqual(rows[0], { ts: at(0), pv: 50 });
+  });
+
+  it("Excel: BOM, etiquetas con unidad y hora local", async ()=>{
+    const r = await exp({ format: "excel", tz: "America/Santiago", delimiter: "semicolon", columns: "ts,s1" });
+    assert.ok(r.body.startsWith("﻿"));
+    const [head, first] = lines(r.body.slice(1));
+    assert.equal(head, "ts;S1 (°C)");
+    assert.equal(first, "2024-05-01 08:00:00;50");
+  });
+
+  it("re-muestreo: promedios por intervalo", async ()=>{
+    const r = await exp({ resample: 300, columns: "ts,pv,count", from: at(0), to: at(10) });
+    const [head, ...rows] = lines(r.body);
+    assert.equal(head, "ts,pv,count");
+    assert.deepEqual(rows, [`${at(0)},52,5`, `${at(5)},57,5`]);
+  });
+
+  it("tiempo encendido: cada lectura vale hasta la siguiente, no el intervalo entero", async ()=>{
+    // Fuera del rango pedido: minuto 60, después de un corte de 50 min
+    await pushPv(api, dev, 50, { ts: at(60), seq: 60 });
+    const q = new URLSearchParams({ deviceId: "dev-e", bucket: 3600, from: at(0), to: at(59) });
+    const h = await api.get(`/api/history?${q}`, { token: admin });
+    // 9 tramos de 60 s + el último con tope de 120 s (no los 50 min del corte)
+    assert.equal(h.body.points[0].onSecR1, 9 * 60 + 120);
+  });
+
+  it("columna o zona inexistente -> 400 VALIDATION", async ()=>{
+    for (const qs of [{ columns: "ts,s9" }, { tz: "Marte/Olympus" }, { format: "xlsx" }]) {
+      const r = await exp(qs);
+      assert.equal(r.status, 400, JSON.stringify(qs));
+      assert.equal(r.body.code, "VALIDATION");
+    }
+  });
+
+  it("importa CSV de la SD: guarda nuevas, informa duplicadas y rechazadas", async ()=>{
+    const csv = [
+      "ts,seq,s1,s2,s3,s4",
+      `${at(3)},3,1,1,1,1`,                 // ya guardada (seq)
+      "2024-05-01 08:20:00,,70,70,70,70",  // hora de Santiago (UTC-4) = at(20)
+      "2024-05-01 08:20:00,,71,71,71,71",  // repetida en el archivo
+      `${at(30)},30,nan,72,72,72`,
+      "mañana,31,1,1,1,1",
+      `${at(32)},-1,1,1,1,1`
+    ].join("\n");
+    const post = (query)=> fetch(`${srv.url}/api/import/dev-e?${query}`, {
+      method: "POST", headers: { Authorization: `Bearer ${admin}`, "Content-Type": "text/csv" }, body: csv
+    }).then(r => r.json());
+
+    const dry = await post("tz=America/Santiago&dryRun=true");
+    assert.equal(dry.accepted, 2);
+    assert.equal(dry.stored, 0);
+
+    const r = await post("tz=America/Santiago");
+    assert.equal(r.received, 6);
+    assert.equal(r.stored, 2);
+    assert.deepEqual(r.duplicates, { inFile: 1, existing: 1 });
+    assert.deepEqual(r.rejected.map(x => x.line), [6, 7]);
+
+    const back = await exp({ format: "ndjson", columns: "ts,s1,pv", from: at(19), to: at(31) });
+    assert.deepEqual(lines(back.body).map(l => JSON.parse(l)), [
+      { ts: at(20), s1: 70, pv: 70 },
+      { ts: at(30), s1: null, pv: 72 }
+    ]);
+
+    // Reimportar lo mismo no duplica
+    const again = await post("tz=America/Santiago");
+    assert.equal(again.stored, 0);
+    assert.equal(again.duplicates.existing, 3);
+  });
+
+  it("importa NDJSON con values agrupados", async ()=>{
+    const body = [
+      JSON.stringify({ ts: at(40), values: { s1: 80, s2: 80 } }),
+      "{no es json",
+      JSON.stringify({ ts: at(41), s1: 81 })
+    ].join("\n");
+    const r = await fetch(`${srv.url}/api/import/dev-e`, {
+      method: "POST", headers: { Authorization: `Bearer ${admin}`, "Content-Type": "application/x-ndjson" }, body
+    }).then(x => x.json());
+    assert.equal(r.format, "ndjson");
+    assert.equal(r.stored, 2);
+    assert.deepEqual(r.rejected, [{ line: 2, error: "JSON inválido" }]);
+  });
+
+  it("importar exige rol operador sobre el dispositivo", async ()=>{
+    const viewer = await createUser(api, admin, { email: "v@test.local", devices: ["dev-e"] });
+    const r = await fetch(`${srv.url}/api/import/dev-e`, {
+      method: "POST", headers: { Authorization: `Bearer ${viewer}`, "Content-Type": "text/csv" }, body: "ts,s1\n"
+    });
+    assert.equal(r.status, 403);
+  });
+});
@@ -0,0 +1,94 @@
+// test/helpers.js
+// App real (app.js) contra un Mongo en memoria, escuchando en un puerto libre.
+import { once } from "node:events";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET ||= "test-secret";
+// Los límites por IP valen para todo el proceso: altos para no interferir
+process.env.LOGIN_RATE_LIMIT = "10000";
+process.env.PUSH_RATE_LIMIT = "100000";
+process.env.PUSH_IP_RATE_LIMIT = "100000";
+
+export async function startServer(){
+  const mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri(), { dbName: "onoff-test" });
+  // Import diferido: app.js lee las variables de entorno al cargarse
+  const { app } = await import("../app.js");
+  await Promise.all(Object.values(mongoose.models).map(m => m.init()));
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    api: client(url),
+    async stop(){
+      server.closeAllConnections();
+      server.close();
+      await mongoose.disconnect();
+      await mongo.stop();
+    }
+  };
+}
+
+// Vacía todas las colecciones (conserva los índices)
+export async function clearDb(){
+  const cols = await mongoose.connection.db.collections();
+  await Promise.all(cols.map(c => c.deleteMany({})));
+}
+
+// fetch con JSON: { status, headers, body } (body texto si no es JSON)
+export function client(url){
+  const call = async (method, path, { token, device, body } = {})=>{
+    const headers = {};
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (device) headers["x-device-token"] = device;
+    const res = await fetch(url + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    const json = (res.headers.get("content-type") || "").includes("json");
+    return { status: res.status, headers: res.headers, body: json && text ? JSON.parse(text) : text };
+  };
+  return {
+    get: (path, opts)=> call("GET", path, opts),
+    post: (path, opts)=> call("POST", path, opts),
+    put: (path, opts)=> call("PUT", path, opts),
+    patch: (path, opts)=> call("PATCH", path, opts),
+    del: (path, opts)=> call("DELETE", path, opts)
+  };
+}
+
+export const ADMIN = { email: "admin@test.local", password: "admin-password" };
+
+// Admin inicial + sesión: devuelve el access token
+export async function seedAdmin(api){
+  await api.post("/api/seed/admin", { body: ADMIN });
+  return login(api, ADMIN.email, ADMIN.password);
+}
+
+export async function login(api, email, password){
+  const r = await api.post("/api/auth/login", { body: { email, password } });
+  if (r.status !== 200) throw new Error(`login ${email}: ${r.status}`);
+  return r.body.token;
+}
+
+// Usuario con rol y acceso a dispositivos; devuelve su access token
+export async function createUser(api, adminToken, { email, role = "viewer", devices = [] }){
+  const password = "user-password";
+  const r = await api.post("/api/users", { token: adminToken, body: { email, password, role, devices } });
+  if (r.status !== 201) throw new Error(`user ${email}: ${r.status}`);
+  return login(api, email, password);
+}
+
+// Alta de dispositivo: devuelve el token del firmware
+export async function createDevice(api, adminToken, deviceId){
+  const r = await api.post("/api/devices", { token: adminToken, body: { deviceId } });
+  if (r.status !== 201) throw new Error(`device ${deviceId}: ${r.status}`);
+  return r.body.token;
+}
+
+// Push con las cuatro termocuplas en el mismo valor (PV = valor)
+export function pushPv(api, deviceToken, pv, extra = {}){
+  return api.post("/api/thermo/push", { device: deviceToken, body: { s1: pv, s2: pv, s3: pv, s4: pv, ...extra } });
+}
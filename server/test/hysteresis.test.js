@@ -0,0 +1,104 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, clearDb, seedAdmin, createDevice, pushPv } from "./helpers.js";
+import { createBattery } from "../sim/battery.js";
+import { createSimDevice } from "../sim/simulator.js";
+
+// Control on/off con histéresis centrada en SP (defaults: SP 60, H 2 ->
+// enciende bajo 59, apaga sobre 61)
+describe("control por histéresis", ()=>{
+  let srv, api, admin, dev;
+  before(async ()=>{ srv = await startServer(); api = srv.api; });
+  after(()=> srv?.stop());
+  beforeEach(async ()=>{
+    await clearDb();
+    admin = await seedAdmin(api);
+    dev = await createDevice(api, admin, "dev-h");
+  });
+
+  const desired = async (pv, extra)=>{
+    const r = await pushPv(api, dev, pv, extra);
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    return r.body.desired;
+  };
+
+  it("enciende bajo SP - H/2, mantiene dentro de la banda y apaga sobre SP + H/2", async ()=>{
+    const seq = [
+      [50, true], [59.5, true], [60.9, true], [61.1, false],
+      [60, false], [59.1, false], [58.9, true], [60, true]
+    ];
+    for (const [pv, on] of seq) {
+      const d = await desired(pv);
+      assert.deepEqual(d, { r1: on, r2: on }, `pv=${pv}`);
+    }
+  });
+
+  it("respeta SP y H cambiados por PATCH", async ()=>{
+    await api.patch("/api/config/dev-h", { token: admin, body: { sp: 100, h: 10 } });
+    assert.equal((await desired(94)).r1, true);
+    assert.equal((await desired(104)).r1, true);
+    assert.equal((await desired(106)).r1, false);
+    assert.equal((await desired(96)).r1, false);
+    assert.equal((await desired(94.9)).r1, true);
+  });
+
+  it("lazos por relé: cada relé con su propio SP", async ()=>{
+    await api.patch("/api/config/dev-h", { token: admin, body: { loops: { r2: { sp: 40 } } } });
+    assert.deepEqual(await desired(30), { r1: true, r2: true });
+    assert.deepEqual(await desired(45), { r1: true, r2: false });
+    assert.deepEqual(await desired(62), { r1: false, r2: false });
+  });
+
+  it("termocupla abierta queda fuera del PV", async ()=>{
+    const r = await api.post("/api/thermo/push", { device: dev, body: { s1: 70, s2: 70, s3: 70, s4: null } });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.pv, 70);
+    assert.ok(r.body.faults.s4);
+    assert.deepEqual(r.body.desired, { r1: false, r2: false });
+  });
+
+  it("reenvío del mismo seq: duplicate; seq reiniciado tras un reboot se guarda", async ()=>{
+    const t0 = Date.now() - 3600000;
+    const at = (min)=> new Date(t0 + min * 60000).toISOString();
+    assert.equal((await pushPv(api, dev, 50, { seq: 1, ts: at(0) })).body.desired.r1, true);
+    const again = await pushPv(api, dev, 70, { seq: 1, ts: at(0) });
+    assert.equal(again.body.duplicate, true);
+    assert.equal(again.body.desired.r1, true);
+
+    // Mismo seq 50 min después (contador reiniciado, sin boot) o con otro boot: lectura nueva
+    const reset = await pushPv(api, dev, 70, { seq: 1, ts: at(50) });
+    assert.equal(reset.body.duplicate, undefined);
+    assert.equal(reset.body.desired.r1, false);
+    const booted = await pushPv(api, dev, 50, { seq: 1, boot: "b2", ts: at(51) });
+    assert.equal(booted.body.duplicate, undefined);
+    assert.equal((await pushPv(api, dev, 70, { seq: 1, boot: "b2", ts: at(51) })).body.duplicate, true);
+  });
+
+  it("modo manual ignora la histéresis", async ()=>{
+    await api.patch("/api/config/dev-h", { token: admin, body: { mode: "manual" } });
+    assert.deepEqual(await desired(20), { r1: false, r2: false });
+    await api.post("/api/relays/dev-h", { token: admin, body: { r1: true } });
+    assert.deepEqual(await desired(200), { r1: true, r2: false });
+  });
+
+  it("lazo cerrado con el simulador: la batería queda en la banda", async ()=>{
+    const battery = createBattery({ massKg: 20, noise: 0.05, seed: 7 });
+    const steps = 400, dt = 5;
+    const sim = createSimDevice({
+      url: srv.url, deviceId: "dev-h", token: dev, battery, start: Date.now() - steps * dt * 1000
+    });
+    const pvs = [], toggles = [];
+    let last = null;
+    for (let i = 0; i < steps; i++) {
+      const { response } = await sim.tick(dt);
+      pvs.push(response.pv);
+      if (last !== null && response.desired.r1 !== last) toggles.push(i);
+      last = response.desired.r1;
+    }
+    // Conmuta varias veces y, ya calentada, el PV no se aleja de la banda
+    assert.ok(toggles.length >= 4, `conmutaciones: ${toggles.length}`);
+    const settled = pvs.slice(toggles[1]);
+    assert.ok(Math.min(...settled) > 55, `mín ${Math.min(...settled)}`);
+    assert.ok(Math.max(...settled) < 66, `máx ${Math.max(...settled)}`);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { startServer, clearDb, seedAdmin, createDevice } from "./helpers.js";
+
+describe("rollups y retención", ()=>{
+  let srv, api, admin;
+  const HOUR = 3600 * 1000;
+  const hourAgo = (h)=> new Date(Math.floor((Date.now() - h * HOUR) / HOUR) * HOUR);
+  const db = ()=> mongoose.connection.db;
+  const hourRollup = (t)=> db().collection("readingrollups").findOne({ deviceId: "dev-r", res: "hour", t });
+
+  before(async ()=>{ srv = await startServer(); api = srv.api; });
+  after(()=> srv?.stop());
+  beforeEach(async ()=>{
+    await clearDb();
+    admin = await seedAdmin(api);
+    await createDevice(api, admin, "dev-r");
+  });
+
+  // Importa una lectura por cada offset (ms desde `h`) con las cuatro termocuplas en `pv`
+  const importAt = (h, offsets, pv)=> fetch(`${srv.url}/api/import/dev-r`, {
+    method: "POST", headers: { Authorization: `Bearer ${admin}`, "Content-Type": "text/csv" },
+    body: ["ts,s1,s2,s3,s4", ...offsets.map(o => `${new Date(h.getTime() + o).toISOString()},${pv},${pv},${pv},${pv}`)].join("\n")
+  }).then(r => r.json());
+  const everyMinute = Array.from({ length: 60 }, (_, i)=> i * 60000);
+  const compact = ()=> api.post("/api/storage/compact", { token: admin, body: { deviceId: "dev-r" } });
+
+  const count = (col, q = {})=> db().collection(col).countDocuments({ deviceId: "dev-r", ...q });
+
+  it("sin retención configurada no se borra nada", async ()=>{
+    await importAt(hourAgo(24 * 400), everyMinute.slice(0, 5), 50);
+    const r = await compact();
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.results[0].deleted, { raw: 0, minute: 0, hour: 0 });
+    assert.equal(await count("readings"), 5);
+    assert.equal(await count("readingrollups", { res: "minute" }), 5);
+    assert.equal(await count("readingrollups", { res: "hour" }), 1);
+  });
+
+  it("cada nivel se borra según su retención y solo si el siguiente lo cubre", async ()=>{
+    const old = hourAgo(24 * 10), mid = hourAgo(72), recent = hourAgo(2);
+    for (const h of [old, mid, recent]) await importAt(h, everyMinute.slice(0, 3), 50);
+    await api.patch("/api/config/dev-r", { token: admin, body: { retention: { rawDays: 1, minuteDays: 2, hourDays: 5 } } });
+    const r = await compact();
+    assert.deepEqual(r.body.results[0].deleted, { raw: 6, minute: 6, hour: 1 });
+    assert.equal(await count("readings"), 3);
+    assert.equal(await count("readingrollups", { res: "minute" }), 3);
+    assert.equal(await hourRollup(old), null);
+    assert.equal((await hourRollup(mid)).count, 3);
+    assert.equal((await hourRollup(recent)).count, 3);
+  });
+
+  it("una subida diferida rehace los rollups ya calculados de su intervalo", async ()=>{
+    const h = hourAgo(3);
+    await importAt(h, [0, 60000], 50);
+    await compact();
+    const minute = ()=> db().collection("readingrollups").findOne({ deviceId: "dev-r", res: "minute", t: h });
+    assert.equal((await minute()).count, 1);
+    const state = await db().collection("controlstates").findOne({ deviceId: "dev-r" });
+    assert.ok(state.rollup.minuteUntil > h);
+
+    await importAt(h, [20000], 80);
+    const rewound = await db().collection("controlstates").findOne({ deviceId: "dev-r" });
+    assert.equal(rewound.rollup.minuteUntil.getTime(), h.getTime());
+    await compact();
+    assert.equal((await minute()).count, 2);
+    assert.equal((await minute()).pv.max, 80);
+    assert.equal((await hourRollup(h)).count, 3);
+  });
+
+  it("importar en una hora ya compactada (datos crudos aún guardados) suma las muestras", async ()=>{
+    const h = hourAgo(3);
+    assert.equal((await importAt(h, everyMinute, 50)).stored, 60);
+    await compact();
+    assert.equal((await hourRollup(h)).count, 60);
+
+    assert.equal((await importAt(h, [30000, 90000, 150000, 210000, 270000], 110)).stored, 5);
+    await compact();
+    const hour = await hourRollup(h);
+    assert.equal(hour.count, 65);
+    assert.equal(hour.pv.max, 110);
+  });
+
+  it("importar en una hora cuya fuente ya venció se rechaza y no toca su rollup", async ()=>{
+    const h = hourAgo(72);
+    await importAt(h, everyMinute, 50);
+    await api.patch("/api/config/dev-r", { token: admin, body: { retention: { rawDays: 1, minuteDays: 2 } } });
+    await compact();
+    assert.equal(await db().collection("readings").countDocuments({ deviceId: "dev-r" }), 0);
+    assert.equal(await db().collection("readingrollups").countDocuments({ deviceId: "dev-r", res: "minute" }), 0);
+    assert.equal((await hourRollup(h)).count, 60);
+
+    const late = await importAt(h, [30000, 90000], 110);
+    assert.equal(late.stored, 0);
+    assert.equal(late.rejectedCount, 2);
+    assert.match(late.rejected[0].error, /retención/);
+    // Reimportar el mismo export tampoco cuenta dos veces
+    const again = await importAt(h, everyMinute, 50);
+    assert.equal(again.stored, 0);
+    assert.equal(again.rejectedCount, 60);
+    await compact();
+    const hour = await hourRollup(h);
+    assert.equal(hour.count, 60);
+    assert.equal(hour.pv.avg, 50);
+  });
+});